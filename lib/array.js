@@ -0,0 +1,193 @@
+import Batch		from './batch';
+import Dispatch	from './dispatch';
+
+
+var tracked = new WeakMap(),
+	wrappers = {};
+
+var INDEX = /^(0|[1-9][0-9]*)$/;
+
+var METHODS = [
+	'copyWithin',
+	'fill',
+	'pop',
+	'push',
+	'reverse',
+	'shift',
+	'sort',
+	'splice',
+	'unshift'
+];
+
+
+/**
+ * Array mutation tracking, to supplement the `Observer`s of array indices and
+ * lengths.
+ *
+ * Array mutation methods move elements between indices, and change the length
+ * of the array, neither of which can be reliably observed through property
+ * accessors alone.  While any of its indices, or its length, are observed, the
+ * mutation methods of an array are replaced on the instance itself, so that
+ * the affected `Observer`s can be brought up to date, and notified once, after
+ * each mutation completes.
+ */
+export default class ArrayTracker {
+
+
+	/**
+	 * Begin tracking the `observer` given, which must observe an array.
+	 *
+	 * @param {Observer} observer	The `Observer` to track.
+	 */
+	static track(observer) {
+		var array		= observer.target,
+			observers	= tracked.get(array);
+
+		if (!observers) {
+			tracked.set(array, observers = []);
+
+			for(let name of METHODS) {
+				Object.defineProperty(array, name, {
+					enumerable:		false,
+					configurable:	true,
+					writable:		true,
+					value:			wrappers[name]
+				});
+			}
+		}
+
+		observers.push(observer);
+	}
+
+
+	/**
+	 * Stop tracking the `observer` given, restoring the array's original
+	 * mutation methods, if no other `Observer`s remain.
+	 *
+	 * @param {Observer} observer	The `Observer` to stop tracking.
+	 */
+	static untrack(observer) {
+		var array		= observer.target,
+			observers	= tracked.get(array),
+			index		= observers ? observers.indexOf(observer) : -1;
+
+		if (index === -1) {
+			return;
+		}
+
+		observers.splice(index, 1);
+
+		if (observers.length) {
+			return;
+		}
+
+		tracked.delete(array);
+
+		for(let name of METHODS) {
+			if (array[name] === wrappers[name]) {
+				delete array[name];
+			}
+		}
+	}
+
+
+	/**
+	 * Determine whether the `property` given can be instrumented directly on
+	 * the `array` specified.  Lengths cannot be redefined, and instrumenting
+	 * an index beyond the end of an array (or a hole within it) would change
+	 * its contents.
+	 *
+	 * @param {Array}	array		The array to check.
+	 * @param {String}	property	The name of the property to check.
+	 *
+	 * @return {boolean}	`true` if the `property` can be instrumented.
+	 */
+	static instrumentable(array, property) {
+		if (property === 'length') {
+			return false;
+		}
+
+		return !ArrayTracker.isIndex(property)
+			|| Object.prototype.hasOwnProperty.call(array, property);
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Apply the mutation method `name` to the `array` given, releasing the
+	 * instrumentation of all tracked indices for the duration, and notifying
+	 * every `Observer` whose value changed once the mutation is complete.
+	 *
+	 * @param {Array}	array	The array to mutate.
+	 * @param {String}	name	The name of the mutation method to apply.
+	 * @param {Array}	args	The arguments to pass to the method.
+	 *
+	 * @return {any}	The result of the mutation method.
+	 */
+	static mutate(array, name, args) {
+		var observers	= tracked.get(array) || [],
+			affected	= [],
+			values		= [],
+			result;
+
+		if (Batch.recording) {
+			let contents = array.slice();
+			Batch.record(() => { array.splice(0, array.length, ...contents); });
+		}
+
+		for(let observer of observers) {
+			var property = observer.property;
+
+			if (property === 'length' || ArrayTracker.isIndex(property)) {
+				observer.release();
+				affected.push(observer);
+			}
+		}
+
+		try {
+			result = Array.prototype[name].apply(array, args);
+		}finally{
+
+			for(let observer of affected) {
+				values.push(array[observer.property]);
+
+				if (ArrayTracker.instrumentable(array, observer.property)) {
+					observer.instrument();
+				}
+			}
+
+		}
+
+		Batch.hold(() => {
+			Dispatch.each(affected, (observer, index) => {
+				observer.update(values[index]);
+			});
+		});
+
+		return result;
+	}
+
+
+	/**
+	 * Determine whether the `property` given is an array index.
+	 *
+	 * @param {String|Number}	property	The property name to check.
+	 *
+	 * @return {boolean}	`true` if the `property` is an array index.
+	 */
+	static isIndex(property) {
+		return typeof property !== 'symbol' && INDEX.test(String(property))
+			&& Number(property) < 4294967295;
+	}
+
+
+}
+
+
+for(let name of METHODS) {
+	wrappers[name] = function(...args) {
+		return ArrayTracker.mutate(this, name, args);
+	};
+}
@@ -0,0 +1,254 @@
+import Dispatch from './dispatch';
+
+
+var depth		= 0,
+	holds		= 0,
+	rolling		= false,
+	flushing	= false,
+	limit		= 100,
+	journal		= [],
+	pending		= new Set(),
+	round		= new Set();
+
+
+/**
+ * Batched updates, holding `Path` change notifications until the outermost
+ * batch completes, and journalling every write made to an observed property
+ * while a batch is active, so that the writes can be rolled back if the batch
+ * fails.
+ *
+ * Every notification passes through the queue held here, so that a write made
+ * by a change callback is only notified once the current round of
+ * notifications has been delivered, by which point every value held reflects
+ * the write that caused it.
+ */
+export default class Batch {
+
+
+	/**
+	 * Invoke the function `fn` as a batch.  Path change notifications are held
+	 * until the outermost batch returns, at which point each path changed is
+	 * notified once, with the value it held before the batch and its final
+	 * value.  If `fn` throws, every observed property written during the batch
+	 * is restored to its previous value, and the error is rethrown.
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 *
+	 * @return {any}	The value returned by `fn`.
+	 */
+	static run(fn) {
+		var start = journal.length;
+
+		depth++;
+
+		try {
+			return fn();
+		}catch(error) {
+			Batch.rollback(start);
+			throw error;
+		}finally{
+			if (--depth === 0) {
+				journal = [];
+				Batch.settle();
+			}
+		}
+	}
+
+
+	/**
+	 * Invoke the function `fn`, holding notifications until it returns, as a
+	 * batch does, but without journalling writes.  This is used internally,
+	 * while the values held for a change are brought up to date.
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 *
+	 * @return {any}	The value returned by `fn`.
+	 */
+	static hold(fn) {
+		holds++;
+
+		try {
+			return fn();
+		}finally{
+			holds--;
+			Batch.settle();
+		}
+	}
+
+
+	/**
+	 * The maximum number of rounds of notifications delivered before change
+	 * callbacks are considered to be looping, at which point the remaining
+	 * notifications are discarded, and a `RangeError` is reported.  This is
+	 * `100` by default.
+	 *
+	 * @return {Number}	The maximum number of rounds.
+	 */
+	static get limit() {
+		return limit;
+	}
+
+
+	/**
+	 * Set the maximum number of rounds of notifications delivered before
+	 * change callbacks are considered to be looping.
+	 *
+	 * @param {Number} rounds	The maximum number of rounds.
+	 */
+	static set limit(rounds) {
+		limit = rounds;
+	}
+
+
+	/**
+	 * Determine whether writes are currently being journalled, that is, a
+	 * batch is active, and not currently being rolled back.
+	 *
+	 * @return {boolean}	`true` if writes should be recorded.
+	 */
+	static get recording() {
+		return depth > 0 && !rolling;
+	}
+
+
+	/**
+	 * Determine whether a failed batch is currently being rolled back, in
+	 * which case writes restore previous values, and must not be screened by
+	 * interceptors.
+	 *
+	 * @return {boolean}	`true` while rolling back.
+	 */
+	static get rolling() {
+		return rolling;
+	}
+
+
+	/**
+	 * Record a write to be reversed if the active batch fails.  This should
+	 * only be invoked while `Batch.recording` is `true`.
+	 *
+	 * @param {Function} undo	A function restoring the previous state.
+	 */
+	static record(undo) {
+		journal.push(undo);
+	}
+
+
+	/**
+	 * Queue the notification of the `subscription` given, which is delivered
+	 * immediately, unless held by a batch, or by the delivery of the current
+	 * round of notifications.
+	 *
+	 * @param {Subscription} subscription	The `Subscription` to notify.
+	 */
+	static defer(subscription) {
+		pending.add(subscription);
+		Batch.settle();
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Reverse every write journalled since the position `start`, in reverse
+	 * order, so that each property is restored to its state at that point.
+	 * Every write is reversed, even where reversing another throws, so that
+	 * the error which failed the batch is the one rethrown.
+	 *
+	 * @param {Number} start	The position in the journal to roll back to.
+	 */
+	static rollback(start) {
+		rolling = true;
+
+		while(journal.length > start) {
+			try {
+				journal.pop()();
+			}catch(error) {
+				// The batch has already failed, so the original error prevails.
+			}
+		}
+
+		rolling = false;
+	}
+
+
+	/**
+	 * Determine whether the notification of the `subscription` given is held
+	 * in the round of notifications currently being delivered, and has not yet
+	 * been triggered.
+	 *
+	 * @param {Subscription} subscription	The `Subscription` to test.
+	 *
+	 * @return {boolean}	`true` if the notification is yet to be triggered.
+	 */
+	static awaiting(subscription) {
+		return round.has(subscription);
+	}
+
+
+	/**
+	 * Determine whether the notification of the `subscription` given is
+	 * queued for a later round of notifications.
+	 *
+	 * @param {Subscription} subscription	The `Subscription` to test.
+	 *
+	 * @return {boolean}	`true` if the notification is queued.
+	 */
+	static queued(subscription) {
+		return pending.has(subscription);
+	}
+
+
+	/**
+	 * Flush the queued notifications, unless they are currently held.
+	 */
+	static settle() {
+		if (depth === 0 && holds === 0 && !flushing) {
+			Batch.flush();
+		}
+	}
+
+
+	/**
+	 * Trigger each queued notification, which is delivered by its scheduler,
+	 * if the value observed differs from the value held when first queued.
+	 * Notifications queued meanwhile are triggered in the following round,
+	 * until none remain, or the limit of rounds is exceeded.
+	 */
+	static flush() {
+		var errors	= [],
+			rounds	= 0;
+
+		flushing = true;
+
+		try {
+			while(pending.size > 0) {
+				round	= pending;
+				pending	= new Set();
+
+				if (++rounds > limit) {
+					for(let subscription of round) {
+						subscription.cancel();
+					}
+
+					errors.push(new RangeError('Change callbacks did not settle within '
+						+ limit + ' rounds'));
+					break;
+				}
+
+				errors.push(...Dispatch.collect(round, (subscription) => {
+					round.delete(subscription);
+					subscription.trigger();
+				}));
+			}
+		}finally{
+			flushing	= false;
+			round		= new Set();
+		}
+
+		Dispatch.raise(errors);
+	}
+
+
+}
@@ -0,0 +1,102 @@
+import Scheduler	from './scheduler';
+
+
+var NONE = {};
+
+
+/**
+ * A two-way binding, keeping the values of two paths, from two roots, equal.
+ *
+ * Each end is observed synchronously, and a change at either end is written,
+ * converted, to the other.  The change which a write made by the binding
+ * itself causes at the other end is recognised, and never propagated back, so
+ * a binding cannot loop, even if its converters are not perfect inverses of
+ * each other.
+ */
+export default class Binding {
+
+
+	/**
+	 * Construct a new `Binding`, between `pathA` from `rootA` and `pathB` from
+	 * `rootB`, accepting the following `options`:
+	 *
+	 * - `to`: Converts values from `pathA`, before writing them to `pathB`.
+	 * - `from`: Converts values from `pathB`, before writing them to `pathA`.
+	 * - `initial`: Which end wins initially, `'a'` (the default) or `'b'`.
+	 *
+	 * @param {Object}	rootA	The root of the first end.
+	 * @param {Path}	pathA	The path of the first end.
+	 * @param {Object}	rootB	The root of the second end.
+	 * @param {Path}	pathB	The path of the second end.
+	 * @param {Object}	options	Options for this binding, if any.
+	 */
+	constructor(rootA, pathA, rootB, pathB, options = {}) {
+		var to		= options.to || identity,
+			from	= options.from || identity,
+			changeA	= (value) => { this.change(0, value, rootB, pathB, to); },
+			changeB	= (value) => { this.change(1, value, rootA, pathA, from); };
+
+		this.echoes	= [ NONE, NONE ];
+		this.ends	= [
+			pathA.observe(rootA, changeA, { scheduler: Scheduler.sync }),
+			pathB.observe(rootB, changeB, { scheduler: Scheduler.sync })
+		];
+
+		if (options.initial === 'b') {
+			changeB(pathB.get(rootB));
+		}else if (options.initial === undefined || options.initial === 'a') {
+			changeA(pathA.get(rootA));
+		}else{
+			this.unsubscribe();
+			throw new Error('Unknown initial side: ' + options.initial);
+		}
+	}
+
+
+	/**
+	 * Tear down both directions of this binding.  Further calls have no
+	 * effect.
+	 */
+	unsubscribe() {
+		for(let end of this.ends) {
+			end.unsubscribe();
+		}
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Callback handler for a change in the value of the `end` given, `0` or
+	 * `1`, writing it, converted, to the `path` from the `root` of the other
+	 * end, unless the change is the echo of the last value written to it.
+	 *
+	 * @param {Number}		end		The end which changed.
+	 * @param {any}			value	The new value of the end.
+	 * @param {Object}		root	The root of the other end.
+	 * @param {Path}		path	The path of the other end.
+	 * @param {Function}	convert	Converts the value for the other end.
+	 */
+	change(end, value, root, path, convert) {
+		var echo = this.echoes[end];
+
+		this.echoes[end] = NONE;
+
+		if (echo !== NONE && Object.is(echo, value)) {
+			return;
+		}
+
+		var converted = convert(value);
+
+		this.echoes[1 - end] = converted;
+		path.set(root, converted);
+	}
+
+
+}
+
+
+function identity(value) {
+	return value;
+}
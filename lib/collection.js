@@ -0,0 +1,359 @@
+import Batch		from './batch';
+import Dispatch	from './dispatch';
+
+
+var observers	= new WeakMap(),
+	wrappers	= {};
+
+var TYPES = [
+	[ Map,		[ 'set', 'delete', 'clear' ] ],
+	[ Set,		[ 'add', 'delete', 'clear' ] ],
+	[ WeakMap,	[ 'set', 'delete' ] ],
+	[ WeakSet,	[ 'add', 'delete' ] ]
+];
+
+
+/**
+ * An observer of a `Segment` of a collection, such as the entry of a `Map` for
+ * a given key, exposing the same interface as the `Observer`.
+ *
+ * While any segment of a collection is observed, its mutation methods are
+ * replaced on the instance itself, so that the `CollectionObserver`s of the
+ * segments affected can be notified once the mutation is complete.
+ */
+export default class CollectionObserver {
+
+
+	/**
+	 * Observe the `segment` given of the `collection` specified, and invoke
+	 * the `callback` passed when its value changes.
+	 *
+	 * @param {Object}		collection	The collection to observe.
+	 * @param {Segment}		segment		The `Segment` to observe.
+	 * @param {Function}	callback	The `callback` to invoke on change.
+	 *
+	 * @return {CollectionObserver}	The instance handling this observation.
+	 */
+	static observe(collection, segment, callback) {
+		var entries		= observers.get(collection),
+			map			= entries ? entries[segment.method] : null,
+			observer	= map ? map.get(segment.key) : null;
+
+		if (!entries) {
+			observers.set(collection, entries = { get: new Map(), has: new Map() });
+			CollectionObserver.track(collection);
+			map = entries[segment.method];
+		}
+
+		if (!observer) {
+			observer = new CollectionObserver(collection, segment);
+			map.set(segment.key, observer);
+		}
+
+		return observer.add(callback);
+	}
+
+
+	/**
+	 * Stop the `callback` specified from receiving change events from the
+	 * `segment` of the `collection` given.
+	 *
+	 * @param {Object}		collection	The collection to stop observing.
+	 * @param {Segment}		segment		The `Segment` observed.
+	 * @param {Function}	callback	The `callback` to remove.
+	 */
+	static unobserve(collection, segment, callback) {
+		var entries		= observers.get(collection),
+			observer	= entries ? entries[segment.method].get(segment.key) : null;
+
+		if (!observer) {
+			return;
+		}
+
+		observer.remove(callback);
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Construct a new `CollectionObserver`, for the `segment` given of the
+	 * `target` collection specified.
+	 *
+	 * @param {Object}	target	The collection observed.
+	 * @param {Segment}	segment	The `Segment` observed.
+	 */
+	constructor(target, segment) {
+		this.target		= target;
+		this.segment	= segment;
+		this.callbacks	= [];
+		this.value		= segment.read(target);
+	}
+
+
+	/**
+	 * Register the `callback` supplied with this `CollectionObserver`.
+	 *
+	 * @param {Function} callback	The `callback` to register.
+	 *
+	 * @return {CollectionObserver} this
+	 */
+	add(callback) {
+		this.callbacks.push(callback);
+		return this;
+	}
+
+
+	/**
+	 * Remove the `callback` specified from this `CollectionObserver`,
+	 * disposing of it once no callbacks remain.
+	 *
+	 * @param {Function} callback	The `callback` to remove.
+	 *
+	 * @return {boolean} `true` if the callback was found and removed.
+	 */
+	remove(callback) {
+		var index = this.callbacks.indexOf(callback);
+		if (index === -1) {
+			return false;
+		}
+
+		this.callbacks.splice(index, 1);
+
+		if (this.callbacks.length === 0) {
+			this.dispose();
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Dispose of this `CollectionObserver`, restoring the mutation methods of
+	 * the collection once none of its segments remain observed.
+	 */
+	dispose() {
+		var target	= this.target,
+			segment	= this.segment,
+			entries	= observers.get(target);
+
+		entries[segment.method].delete(segment.key);
+
+		if (entries.get.size === 0 && entries.has.size === 0) {
+			observers.delete(target);
+			CollectionObserver.untrack(target);
+		}
+	}
+
+
+	/**
+	 * Set the value of the segment observed, through the collection's methods.
+	 *
+	 * @param {any} 	value	The `value` to set the segment to.
+	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 *
+	 * @return {boolean}	`false` if the segment cannot be written.
+	 */
+	set(value, silent) {
+		var write = this.segment.write(this.target, value);
+
+		if (!write) {
+			return false;
+		}
+
+		if (!Object.is(this.value, value)) {
+			CollectionObserver.mutate(this.target, write[0], write[1], silent);
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Invoke the function `fn` once any change in progress is applied, which
+	 * is always immediately, as changes are not queued.
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 */
+	settled(fn) {
+		fn();
+	}
+
+
+	/**
+	 * Update the value held for the segment, notifying callbacks of the
+	 * change.
+	 *
+	 * @param {any} 	value	The new `value` of the segment.
+	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 */
+	update(value, silent) {
+		var target = this.target;
+
+		if (Object.is(this.value, value)) {
+			return;
+		}
+
+		// Notifications are held until the value held is up to date.
+		Batch.hold(() => {
+			var errors = silent ? [] : Dispatch.collect(this.callbacks,
+				(callback) => { callback(target, value); });
+
+			this.value = value;
+
+			Dispatch.raise(errors);
+		});
+	}
+
+
+	/**
+	 * Get the value of the segment observed.
+	 *
+	 * @return {any} The current value of the segment observed.
+	 */
+	get() {
+		return this.value;
+	}
+
+
+	/**
+	 * Replace the mutation methods of the `collection` given on the instance.
+	 *
+	 * @param {Object} collection	The collection to track.
+	 */
+	static track(collection) {
+		for(let name of CollectionObserver.methods(collection)) {
+			Object.defineProperty(collection, name, {
+				enumerable:		false,
+				configurable:	true,
+				writable:		true,
+				value:			wrappers[name]
+			});
+		}
+	}
+
+
+	/**
+	 * Restore the mutation methods of the `collection` given.
+	 *
+	 * @param {Object} collection	The collection to stop tracking.
+	 */
+	static untrack(collection) {
+		for(let name of CollectionObserver.methods(collection)) {
+			if (collection[name] === wrappers[name]) {
+				delete collection[name];
+			}
+		}
+	}
+
+
+	/**
+	 * Apply the native mutation method `name` to the `collection` given, and
+	 * notify the `CollectionObserver`s of every segment affected.
+	 *
+	 * @param {Object}	collection	The collection to mutate.
+	 * @param {String}	name		The name of the mutation method to apply.
+	 * @param {Array}	args		The arguments to pass to the method.
+	 * @param {boolean}	silent		If `true`, callbacks will not be invoked.
+	 *
+	 * @return {any}	The result of the mutation method.
+	 */
+	static mutate(collection, name, args, silent) {
+		var type	= TYPES.find(([ type ]) => collection instanceof type)[0],
+			entries	= observers.get(collection),
+			key		= args[0],
+			affected;
+
+		if (Batch.recording) {
+			CollectionObserver.journal(collection, name, key);
+		}
+
+		var result = type.prototype[name].apply(collection, args);
+
+		if (!entries) {
+			return result;
+		}
+
+		if (name === 'clear') {
+			affected = [ ...entries.get.values(), ...entries.has.values() ];
+		}else{
+			affected = [ entries.get.get(key), entries.has.get(key) ]
+				.filter((observer) => observer);
+		}
+
+		Batch.hold(() => {
+			Dispatch.each(affected, (observer) => {
+				observer.update(observer.segment.read(collection), silent);
+			});
+		});
+
+		return result;
+	}
+
+
+	/**
+	 * Record the undoing of the mutation method `name`, about to be applied to
+	 * the `collection` given, for the `key` specified, in the active batch.
+	 *
+	 * @param {Object}	collection	The collection to be mutated.
+	 * @param {String}	name		The name of the mutation method.
+	 * @param {any}		key			The key, or value, to be mutated.
+	 */
+	static journal(collection, name, key) {
+		var keyed = collection instanceof Map || collection instanceof WeakMap;
+
+		if (name === 'clear') {
+			let contents = Array.from(collection);
+
+			Batch.record(() => {
+				for(let entry of contents) {
+					if (keyed) {
+						collection.set(entry[0], entry[1]);
+					}else{
+						collection.add(entry);
+					}
+				}
+			});
+
+			return;
+		}
+
+		var had	= collection.has(key),
+			old	= keyed ? collection.get(key) : undefined;
+
+		Batch.record(() => {
+			if (!had) {
+				collection.delete(key);
+			}else if (keyed) {
+				collection.set(key, old);
+			}else{
+				collection.add(key);
+			}
+		});
+	}
+
+
+	/**
+	 * Obtain the names of the mutation methods of the `collection` given.
+	 *
+	 * @param {Object} collection	The collection.
+	 *
+	 * @return {Array}	The method names, empty for other objects.
+	 */
+	static methods(collection) {
+		var entry = TYPES.find(([ type ]) => collection instanceof type);
+		return entry ? entry[1] : [];
+	}
+
+
+}
+
+
+for(let [ , methods ] of TYPES) {
+	for(let name of methods) {
+		wrappers[name] = wrappers[name] || function(...args) {
+			return CollectionObserver.mutate(this, name, args);
+		};
+	}
+}
@@ -0,0 +1,228 @@
+import Subscription	from './subscription';
+import Scheduler	from './scheduler';
+import Dispatch		from './dispatch';
+
+
+/**
+ * A value derived from several source paths, exposing the same `observe`,
+ * `unobserve` and `get` interface as a `Path`.
+ *
+ * A `Computed` observes each of its source paths through their own `observe`
+ * method, so the underlying `Link` chains are shared with any other observers
+ * of the same paths and roots.  The value is recomputed only when a source
+ * path changes, and callbacks are only invoked when the computed value itself
+ * changes.
+ */
+export default class Computed {
+
+
+	/**
+	 * Construct a new `Computed` value, derived from the `paths` given.
+	 *
+	 * @param {Array}		paths	The source `Path`s, or other `Computed`s.
+	 * @param {Function}	compute	Derives the value, from the value of each
+	 *								source path, in order.
+	 */
+	constructor(paths, compute) {
+		this.paths		= paths;
+		this.compute	= compute;
+		this.observed	= new WeakMap();
+	}
+
+
+	/**
+	 * Observe this computed value, starting from the `root` `Object`
+	 * specified, and call the `callback` specified, with the new and old
+	 * values as parameters when it changes.
+	 *
+	 * The following `options` may be supplied:
+	 *
+	 * - `scheduler`: The scheduler determining when the `callback` is invoked,
+	 *   overriding the scheduler configured for this `Computed`.
+	 * - `immediate`, `once` and `filter`: As for `Path.prototype.observe`.
+	 *
+	 * @param {Object}		root		The `root` `Object` to observe.
+	 * @param {Function}	callback	The `callback` to invoke on change.
+	 * @param {Object}		options		Options for this `callback`, if any.
+	 *
+	 * @return {Subscription}	A handle, with `unsubscribe`, `pause` and
+	 *							`resume` methods, and the current `value`.
+	 */
+	observe(root, callback, options = {}) {
+		if (!root) {
+			throw new Error('Cannot bind to undefined value');
+		}
+
+		var state = this.observed.get(root);
+
+		if (!state) {
+			state = {
+				root:			root,
+				subscriptions:	[]
+			};
+
+			this.observed.set(root, state);
+
+			// Sources are observed synchronously, so that the computed value is
+			// always current, leaving scheduling to this value's subscriptions.
+			state.sources = this.paths.map((path) => path.observe(root,
+				() => { this.change(state); }, { scheduler: Scheduler.sync }));
+
+			state.value = this.get(root);
+		}
+
+		var subscription = new Subscription(state, callback, {
+			scheduler:	options.scheduler || this.scheduler,
+			release:	(subscription) => this.remove(root, subscription),
+			once:		options.once,
+			filter:		options.filter,
+			equals:		this.equals
+		});
+
+		state.subscriptions.push(subscription);
+
+		if (options.immediate) {
+			subscription.immediate();
+		}
+
+		return subscription;
+	}
+
+
+	/**
+	 * Stop observing this computed value for the given `root` object and
+	 * `callback` combination.
+	 *
+	 * @param {Object}		root		The `root` `Object` previously registered.
+	 * @param {Function}	callback	The `callback` function to deregister.
+	 *
+	 * @return {boolean} `true` if the `callback` was found and removed.
+	 */
+	unobserve(root, callback) {
+		var state = root ? this.observed.get(root) : null;
+
+		if (!state) {
+			return false;
+		}
+
+		var subscription = state.subscriptions.find(
+			(subscription) => subscription.callback === callback);
+
+		return subscription ? this.remove(root, subscription) : false;
+	}
+
+
+	/**
+	 * Obtain the computed value, from the `root` `Object` given.
+	 *
+	 * @param {Object} root	The `root` `Object` to compute the value from.
+	 *
+	 * @return {any}	The computed value.
+	 */
+	get(root) {
+		var state = this.observed.get(root);
+
+		if (state && state.hasOwnProperty('value')) {
+			return state.value;
+		}
+
+		return this.compute(...this.paths.map((path) => path.get(root)));
+	}
+
+
+	/**
+	 * Configure the behaviour of this `Computed`, with any of the following
+	 * `options`:
+	 *
+	 * - `scheduler`: The scheduler determining when callbacks are invoked,
+	 *   `Scheduler.sync` by default.
+	 * - `equals`: The comparator determining whether the computed value has
+	 *   changed, `Object.is` by default.  See `Equality`.
+	 *
+	 * @param {Object} options	The options to apply.
+	 *
+	 * @return {Computed} this
+	 */
+	configure(options) {
+		if (options.scheduler !== undefined) {
+			this.scheduler = options.scheduler;
+		}
+
+		if (options.equals !== undefined) {
+			this.equals = options.equals;
+		}
+
+		return this;
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Remove the `subscription` given from the `root` specified, and stop
+	 * observing the source paths from the `root`, once no subscriptions
+	 * remain.
+	 *
+	 * @param {Object}			root			The `root` `Object` observed.
+	 * @param {Subscription}	subscription	The `Subscription` to remove.
+	 *
+	 * @return {boolean} `true` if the `subscription` was found and removed.
+	 */
+	remove(root, subscription) {
+		var state = this.observed.get(root);
+
+		if (!state) {
+			return false;
+		}
+
+		var subscriptions	= state.subscriptions,
+			index			= subscriptions.indexOf(subscription);
+
+		if (index === -1) {
+			return false;
+		}
+
+		subscription.cancel();
+		subscriptions.splice(index, 1);
+
+		if (subscriptions.length === 0) {
+			for(let source of state.sources) {
+				source.unsubscribe();
+			}
+
+			this.observed.delete(root);
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Callback handler for a change in any source path, from the root of the
+	 * `state` given.  Every source is read afresh, rather than only the one
+	 * that changed, so that sources notified together after a batch never
+	 * produce an intermediate value.
+	 *
+	 * @param {Object} state	The observation state for a root.
+	 */
+	change(state) {
+		var old		= state.value,
+			value	= this.compute(...this.paths.map(
+				(path) => path.get(state.root)));
+
+		// The value held is only replaced where the comparator considers it
+		// changed, so that the `old` value notified is always one delivered.
+		if ((this.equals || Object.is)(old, value)) {
+			return;
+		}
+
+		state.value = value;
+
+		Dispatch.each(state.subscriptions.slice(), (subscription) => {
+			subscription.notify(old);
+		});
+	}
+
+
+}
@@ -0,0 +1,110 @@
+import Batch		from './batch';
+import Dispatch	from './dispatch';
+
+
+var CLOCK = {
+	setTimeout:		(fn, wait)	=> setTimeout(fn, wait),
+	clearTimeout:	(timer)		=> clearTimeout(timer)
+};
+
+
+var watched = new Set();
+
+
+/**
+ * Dirty checking, for properties which cannot be instrumented, such as
+ * read-only or getter-only properties, or properties of frozen or sealed
+ * objects.  `Observer`s of such properties are registered here, where paths
+ * opt in to dirty checking, and re-read on each digest, notifying callbacks as
+ * normal if their values have changed.
+ */
+export default class Digest {
+
+
+	/**
+	 * Re-read every property registered for dirty checking, notifying the
+	 * callbacks of any whose value has changed.
+	 *
+	 * @return {Number}	The number of properties changed.
+	 */
+	static run() {
+		var changed = 0;
+
+		// Notifications are held until every property has been re-read.
+		Batch.hold(() => Dispatch.each(Array.from(watched), (observer) => {
+
+			// Earlier notifications may have stopped the observation.
+			if (!watched.has(observer)) {
+				return;
+			}
+
+			var value = observer.target[observer.property];
+
+			if (!Object.is(observer.value, value)) {
+				changed++;
+				observer.update(value);
+			}
+		}));
+
+		return changed;
+	}
+
+
+	/**
+	 * Run a digest every `interval` milliseconds, until the function returned
+	 * is invoked.
+	 *
+	 * @param {Number} interval	The time between digests, in milliseconds.
+	 * @param {Object} clock	The clock to use, providing `setTimeout` and
+	 *							`clearTimeout`, defaulting to the globals.
+	 *
+	 * @return {Function}	Stops polling, when invoked.
+	 */
+	static poll(interval, clock = CLOCK) {
+		var timer	= null,
+			stopped	= false;
+
+		function schedule() {
+			timer = clock.setTimeout(() => {
+				Digest.run();
+
+				// A callback notified may have stopped polling.
+				if (!stopped) {
+					schedule();
+				}
+			}, interval);
+		}
+
+		schedule();
+
+		return () => {
+			stopped = true;
+			clock.clearTimeout(timer);
+		};
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Register the `observer` given for dirty checking.
+	 *
+	 * @param {Observer} observer	The `Observer` of an uninstrumented property.
+	 */
+	static watch(observer) {
+		watched.add(observer);
+	}
+
+
+	/**
+	 * Stop dirty checking the `observer` given, if registered.
+	 *
+	 * @param {Observer} observer	The `Observer` to stop checking.
+	 */
+	static unwatch(observer) {
+		watched.delete(observer);
+	}
+
+
+}
@@ -0,0 +1,117 @@
+
+var handler		= null,
+	aggregates	= new WeakSet();
+
+
+/**
+ * Isolation of errors thrown by change callbacks, so that a callback which
+ * throws neither prevents the callbacks following it from being invoked, nor
+ * leaves the write that caused the change uncommitted.
+ *
+ * Errors are collected while every callback is invoked, and then passed to
+ * the handler registered with `Dispatch.onError`, if any, or rethrown once
+ * the change is complete: alone, if only one callback threw, or together as
+ * an `AggregateError` otherwise.  Where `AggregateError` is not available, an
+ * `Error` is thrown in its place, with the same `errors` property.
+ */
+export default class Dispatch {
+
+
+	/**
+	 * Register the `callback` given to receive every error thrown by a change
+	 * callback, rather than having them rethrown to the writer.  Passing
+	 * `null` restores the default behaviour.
+	 *
+	 * @param {Function} callback	Receives each error thrown, or `null`.
+	 */
+	static onError(callback) {
+		handler = callback || null;
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Invoke `fn` with each of the `items` given, and its index, collecting any
+	 * errors thrown, rather than allowing them to interrupt the remainder.
+	 *
+	 * @param {Iterable}	items	The items to invoke `fn` with.
+	 * @param {Function}	fn		The function to invoke with each item.
+	 *
+	 * @return {Array}	The errors thrown, in the order they were thrown.
+	 */
+	static collect(items, fn) {
+		var errors	= [],
+			index	= 0;
+
+		for(let item of items) {
+			try {
+				fn(item, index++);
+			}catch(error) {
+
+				// Errors already collected by a nested change are flattened,
+				// so that each is reported once, at the same level.
+				if (aggregates.has(error)) {
+					errors.push(...error.errors);
+				}else{
+					errors.push(error);
+				}
+
+			}
+		}
+
+		return errors;
+	}
+
+
+	/**
+	 * Report the `errors` given, collected by `Dispatch.collect`, to the
+	 * registered handler, or rethrow them if there is none.
+	 *
+	 * @param {Array} errors	The errors to report, if any.
+	 */
+	static raise(errors) {
+		if (errors.length === 0) {
+			return;
+		}
+
+		if (handler) {
+			for(let error of errors) {
+				handler(error);
+			}
+			return;
+		}
+
+		if (errors.length === 1) {
+			throw errors[0];
+		}
+
+		var message		= errors.length + ' errors thrown by change callbacks',
+			aggregate;
+
+		if (typeof AggregateError === 'function') {
+			aggregate = new AggregateError(errors, message);
+		}else{
+			aggregate = new Error(message);
+			aggregate.errors = errors;
+		}
+
+		aggregates.add(aggregate);
+		throw aggregate;
+	}
+
+
+	/**
+	 * Invoke `fn` with each of the `items` given, and its index, then report
+	 * any errors thrown, once every item has been processed.
+	 *
+	 * @param {Iterable}	items	The items to invoke `fn` with.
+	 * @param {Function}	fn		The function to invoke with each item.
+	 */
+	static each(items, fn) {
+		Dispatch.raise(Dispatch.collect(items, fn));
+	}
+
+
+}
@@ -0,0 +1,55 @@
+
+/**
+ * Comparators for change detection, which may be configured for a `Path` or
+ * computed value, via its `equals` option.  A comparator receives the old and
+ * new values, and returns `true` if they should be considered equal, in which
+ * case no change is reported.
+ */
+export default class Equality {
+
+
+	/**
+	 * Strict comparison, as `Object.is`, so that `NaN` equals itself, while
+	 * `0` and `-0` differ.  This is the default.
+	 *
+	 * @param {any} a	The old value.
+	 * @param {any} b	The new value.
+	 *
+	 * @return {boolean}	`true` if the values are the same.
+	 */
+	static is(a, b) {
+		return Object.is(a, b);
+	}
+
+
+	/**
+	 * Shallow comparison, considering objects equal where they share the same
+	 * prototype, and the same own enumerable keys, holding the same values.
+	 *
+	 * @param {any} a	The old value.
+	 * @param {any} b	The new value.
+	 *
+	 * @return {boolean}	`true` if the values are shallowly equal.
+	 */
+	static shallow(a, b) {
+		if (Object.is(a, b)) {
+			return true;
+		}
+
+		if (!a || !b || typeof a !== 'object' || typeof b !== 'object'
+				|| Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+			return false;
+		}
+
+		var keys = Object.keys(a);
+
+		if (keys.length !== Object.keys(b).length) {
+			return false;
+		}
+
+		return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key)
+			&& Object.is(a[key], b[key]));
+	}
+
+
+}
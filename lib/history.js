@@ -0,0 +1,205 @@
+import Scheduler	from './scheduler';
+import Batch		from './batch';
+import Wildcard		from './wildcard';
+
+
+var MICROTASK = (fn) => { Promise.resolve().then(fn); };
+
+
+/**
+ * An undo and redo history, recording every change to a set of `Path`s from a
+ * given root.
+ *
+ * Changes are grouped into steps, each holding every change made within the
+ * same tick, or batch, with the value each path held beforehand.  Undoing a
+ * step writes those values back through `Path.set`, in a single batch, so
+ * that callbacks are notified as normal, while the history ignores the
+ * changes caused by its own replays.
+ */
+export default class History {
+
+
+	/**
+	 * Construct a new `History`, recording changes to the `paths` given, from
+	 * the `root` specified, accepting the following `options`:
+	 *
+	 * - `limit`: The maximum number of steps which can be undone, `100` by
+	 *   default.  The oldest steps are discarded beyond this.
+	 * - `tick`: Invokes the function passed once the current tick completes,
+	 *   closing the current step.  Defaults to a microtask.
+	 *
+	 * @param {Object}	root	The root to record changes from.
+	 * @param {Array}	paths	The `Path`s to record.
+	 * @param {Object}	options	Options for this history, if any.
+	 */
+	constructor(root, paths, options = {}) {
+		if (paths.some((path) => path.path.indexOf(Wildcard.ANY) !== -1)) {
+			throw new Error('Cannot record history of wildcard paths');
+		}
+
+		this.root		= root;
+		this.limit		= options.limit === undefined ? 100 : options.limit;
+		this.tick		= options.tick || MICROTASK;
+		this.undone		= [];
+		this.done		= [];
+		this.step		= null;
+		this.replaying	= false;
+
+		this.subscriptions = paths.map((path) => path.observe(root,
+			(value, old) => { this.record(path, value, old); },
+			{ scheduler: Scheduler.sync }));
+	}
+
+
+	/**
+	 * Whether there is a step which can be undone.
+	 *
+	 * @return {boolean}	`true` if `undo()` would have an effect.
+	 */
+	get canUndo() {
+		return this.done.length > 0;
+	}
+
+
+	/**
+	 * Whether there is an undone step which can be redone.
+	 *
+	 * @return {boolean}	`true` if `redo()` would have an effect.
+	 */
+	get canRedo() {
+		return this.undone.length > 0;
+	}
+
+
+	/**
+	 * Undo the most recent step, restoring the value each path held before it.
+	 *
+	 * @return {boolean}	`true` if a step was undone.
+	 */
+	undo() {
+		var step = this.done.pop();
+
+		if (!step) {
+			return false;
+		}
+
+		this.step = null;
+		this.replay(step.slice().reverse().map(
+			(change) => [ change.path, change.old ]));
+		this.undone.push(step);
+
+		return true;
+	}
+
+
+	/**
+	 * Redo the most recently undone step, restoring the value each path held
+	 * after it.
+	 *
+	 * @return {boolean}	`true` if a step was redone.
+	 */
+	redo() {
+		var step = this.undone.pop();
+
+		if (!step) {
+			return false;
+		}
+
+		this.step = null;
+		this.replay(step.map((change) => [ change.path, change.value ]));
+		this.done.push(step);
+
+		return true;
+	}
+
+
+	/**
+	 * Discard every step recorded, so that nothing can be undone or redone.
+	 */
+	clear() {
+		this.done	= [];
+		this.undone	= [];
+		this.step	= null;
+	}
+
+
+	/**
+	 * Stop recording changes.  Further calls have no effect.
+	 */
+	unsubscribe() {
+		for(let subscription of this.subscriptions) {
+			subscription.unsubscribe();
+		}
+
+		this.step = null;
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Callback handler for a change in the value of the `path` given, adding
+	 * it to the current step, or opening a new step, which is closed once the
+	 * current tick completes.
+	 *
+	 * @param {Path}	path	The `Path` which changed.
+	 * @param {any}		value	The new value of the `path`.
+	 * @param {any}		old		The previous value of the `path`.
+	 */
+	record(path, value, old) {
+		if (this.replaying) {
+			return;
+		}
+
+		var step = this.step;
+
+		if (!step) {
+			step = this.step = [];
+
+			this.done.push(step);
+			this.tick(() => {
+				if (this.step === step) {
+					this.step = null;
+				}
+			});
+
+			if (this.done.length > this.limit) {
+				this.done.shift();
+			}
+		}
+
+		this.undone = [];
+
+		var change = step.find((change) => change.path === path);
+
+		if (change) {
+			change.value = value;
+		}else{
+			step.push({ path: path, value: value, old: old });
+		}
+	}
+
+
+	/**
+	 * Write each value given back to its path, in a single batch, ignoring
+	 * the changes this causes, including any made by the callbacks notified.
+	 *
+	 * @param {Array}	writes	Pairs of each `Path`, and the value to write.
+	 */
+	replay(writes) {
+		this.replaying = true;
+
+		try {
+			Batch.run(() => {
+				for(let [ path, value ] of writes) {
+					path.set(this.root, value);
+				}
+			});
+		}finally{
+			this.replaying = false;
+		}
+	}
+
+
+}
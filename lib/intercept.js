@@ -0,0 +1,46 @@
+
+/**
+ * Interceptors, which screen writes to an observed property before they are
+ * committed, or any callback is notified.
+ *
+ * An interceptor receives the `value` being written, the `old` value, and the
+ * `target` and `property` written, and returns the value to write in its
+ * place, which may be the `value` itself, or `Intercept.CANCEL` to veto the
+ * write silently.  An interceptor may instead throw, to reject the write, in
+ * which case the error is thrown to the writer, and nothing is written.
+ */
+export default class Intercept {
+
+
+	/**
+	 * Pass the `value` given through each of the `interceptors` specified, in
+	 * turn, each receiving the value returned by the last.
+	 *
+	 * @param {Array}	interceptors	The interceptors to apply.
+	 * @param {any}		value			The value being written.
+	 * @param {any}		old				The value currently held.
+	 * @param {Object}	target			The object being written to.
+	 * @param {String}	property		The property name, or `Symbol`.
+	 *
+	 * @return {any}	The value to write, or `Intercept.CANCEL`.
+	 */
+	static apply(interceptors, value, old, target, property) {
+		for(let interceptor of interceptors.slice()) {
+			value = interceptor(value, old, target, property);
+
+			if (value === CANCEL) {
+				break;
+			}
+		}
+
+		return value;
+	}
+
+
+}
+
+
+/**
+ * Returned by an interceptor to veto a write, without error.
+ */
+var CANCEL = Intercept.CANCEL = Symbol('cancel');
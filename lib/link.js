@@ -1,4 +1,6 @@
-import Observer from './observer';
+import Segment				from './segment';
+import CollectionObserver	from './collection';
+import Intercept			from './intercept';
 
 
 /**
@@ -13,18 +15,23 @@ export default class Link {
 	 * Construct a new instance of a `Link`, and populate the full chain, to
 	 * monitor the state of the `root` object passed.
 	 *
-	 * @param {Object} root	The root object to monitor for changes.
+	 * @param {Object}		root	The root object to monitor for changes.
+	 * @param {Function}	backend	The `Observer` class used to observe each
+	 *								property, `Observer` or `ProxyObserver`.
+	 * @param {Function}	report	Receives the resolved value of the chain
+	 *								from this `Link` on, if not the `Path`.
 	 */
-	constructor(root, chained) {
+	constructor(root, backend, report) {
 		if (this.NextLink) {
-			this.next = new this.NextLink(root, true);
+			this.next = new this.NextLink(root, backend, report);
 		}
 
 		this.root		= root;
+		this.backend	= backend;
 		this.change 	= this.change.bind(this);
 
-		if (!chained) {
-			this.setLast();
+		if (report) {
+			this.report	= report;
 		}
 	}
 
@@ -46,21 +53,19 @@ export default class Link {
 			this.detach();
 		}
 
-		var observer	= Observer.observe(target, this.part, this.change),
+		var backend		= this.part instanceof Segment
+				? CollectionObserver : this.backend,
+			observer	= backend.observe(target, this.part, this.change,
+				this.path.dirtyCheck),
 			value		= observer.get();
 
 		this.observer = observer;
 
-		if (this.next) {
-
-			if (value) {
-				return this.next.attach(value);
-			}
-
-			return undefined;
+		if (this.interceptors && this.interceptors.length > 0) {
+			observer.intercept(this.screen);
 		}
 
-		return value;
+		return this.resolve(value);
 	}
 
 
@@ -73,7 +78,13 @@ export default class Link {
 			return;
 		}
 
+		if (this.interceptors && this.interceptors.length > 0) {
+			this.observer.unintercept(this.screen);
+		}
+
 		this.observer.remove(this.change);
+		this.observer	= null;
+		this.reason		= null;
 
 		if (this.next) {
 			this.next.detach();
@@ -92,24 +103,176 @@ export default class Link {
 	 * @param {any}		value	The new value associated with the property.
 	 */
 	change(target, value) {
-		var existing	= this.observer.get(),
-			next		= this.next,
-			result		= value;
+		var existing = this.observer.get();
 
-		if (existing === value) {
+		if (this.equals(existing, value)) {
 			return;
 		}
 
-		if (next && result) {
-			if (typeof result === 'object' || typeof result === 'function') {
-				result = next.attach(result);
-			}else{
-				// Primitive on the path, prevents full resolution.
-				result = undefined;
+		this.report(this.resolve(value), undefined,
+			{ target: target, property: this.part, index: this.index });
+	}
+
+
+	/**
+	 * Determine whether the values `a` and `b` given of the property monitored
+	 * are equal.  The final `Link` of a `Path` applies its comparator, while
+	 * any other is compared by identity, as its value is followed further,
+	 * or aggregated by a wildcard.
+	 *
+	 * @param {any} a	The value held.
+	 * @param {any} b	The new value.
+	 *
+	 * @return {boolean}	`true` if the values are considered equal.
+	 */
+	equals(a, b) {
+		var last = !this.next && !this.hasOwnProperty('report');
+
+		return ((last && this.path.equals) || Object.is)(a, b);
+	}
+
+
+	/**
+	 * Register the `interceptor` given to screen writes to the property
+	 * monitored by this `Link`, whichever object it is attached to.
+	 *
+	 * @param {Function} interceptor	The `interceptor` to register.
+	 */
+	intercept(interceptor) {
+		var interceptors = this.interceptors;
+
+		if (!interceptors) {
+			interceptors	= this.interceptors = [];
+			this.screen		= this.screen.bind(this);
+		}
+
+		interceptors.push(interceptor);
+
+		if (interceptors.length === 1 && this.observer) {
+			this.observer.intercept(this.screen);
+		}
+	}
+
+
+	/**
+	 * Remove the `interceptor` specified from this `Link`.
+	 *
+	 * @param {Function} interceptor	The `interceptor` to remove.
+	 *
+	 * @return {boolean} `true` if the interceptor was found and removed.
+	 */
+	unintercept(interceptor) {
+		var interceptors	= this.interceptors,
+			index			= interceptors ? interceptors.indexOf(interceptor) : -1;
+
+		if (index === -1) {
+			return false;
+		}
+
+		interceptors.splice(index, 1);
+
+		if (interceptors.length === 0 && this.observer) {
+			this.observer.unintercept(this.screen);
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Interceptor registered with the observer of the current `target`, while
+	 * this `Link` holds interceptors, applying each in turn.
+	 *
+	 * @param {any}		value		The value being written.
+	 * @param {any}		old			The value currently held.
+	 * @param {Object}	target		The object being written to.
+	 * @param {String}	property	The property name, or `Symbol`.
+	 *
+	 * @return {any}	The value to write, or `Intercept.CANCEL`.
+	 */
+	screen(value, old, target, property) {
+		return Intercept.apply(this.interceptors, value, old, target, property);
+	}
+
+
+	/**
+	 * Resolve the final value of the chain from this `Link` on, given the
+	 * `value` of the property it monitors, attaching the following `Link`s
+	 * where possible, and detaching them where the chain is broken.
+	 *
+	 * Primitive values cannot be observed, so the remainder of the chain is
+	 * derived from them directly, and is re-evaluated whenever the property
+	 * monitored by this `Link` changes.
+	 *
+	 * @param {any} value	The current value of the monitored property.
+	 *
+	 * @return {any}	The resolved value of the chain from this `Link` on.
+	 */
+	resolve(value) {
+		var next = this.next;
+
+		if (!next) {
+			return value;
+		}
+
+		if (value && (typeof value === 'object' || typeof value === 'function')) {
+			this.reason = null;
+			return next.attach(value);
+		}
+
+		next.detach();
+		return this.derive(value);
+	}
+
+
+	/**
+	 * Derive the final value of the chain from this `Link` on, from the
+	 * `value` given, without observing any properties along the way.
+	 *
+	 * Where the chain is broken, the `reason` is recorded on the `Link` whose
+	 * value breaks it, as either `'missing'`, for an `undefined` or `null`
+	 * value, or `'primitive'`, for a primitive without the following property.
+	 *
+	 * @param {any} value	The current value of the monitored property.
+	 *
+	 * @return {any}	The derived value of the chain from this `Link` on.
+	 */
+	derive(value) {
+		for(var link = this; link.next; link = link.next) {
+			var part = link.next.part;
+
+			if (value === undefined || value === null) {
+				link.reason = 'missing';
+				return undefined;
+			}
+
+			if (typeof value !== 'object' && typeof value !== 'function'
+					&& (part instanceof Segment || !(part in Object(value)))) {
+				link.reason = 'primitive';
+				return undefined;
 			}
+
+			link.reason	= null;
+			value		= Segment.resolve(value, part);
 		}
 
-		this.path.change(this.root, result);
+		return value;
+	}
+
+
+	/**
+	 * Report a change in the resolved value of the chain from this `Link` on.
+	 * By default, changes are reported directly to the owning `Path`, but
+	 * chains created for each key of a wildcard report to the wildcard
+	 * instead.
+	 *
+	 * @param {any}		value	The new resolved value.
+	 * @param {String}	key		The wildcard key that changed, if any.
+	 * @param {Object}	origin	The `target`, `property` and segment `index`
+	 *							of the write that caused the change.
+	 */
+	report(value, key, origin) {
+		this.path.change(this.root, value, key, origin);
 	}
 
 
@@ -129,16 +292,18 @@ export default class Link {
 	 *
 	 * @param {any} 	value	The `value` to set the property to.
 	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 *
+	 * @return {boolean}	`false` if the write was vetoed, or not possible.
 	 */
 	set(value, silent) {
 		var observer = this.observer;
 
-		if (!observer) {
+		// Dirty checked properties are read-only, so cannot hold the value.
+		if (!observer || observer.fixed) {
 			return false;
 		}
 
-		observer.set(value, silent);
-		return true;
+		return observer.set(value, silent);
 	}
 
 
@@ -152,10 +317,11 @@ export default class Link {
 	 * @param {Path}		path		The path that 'owns' this `Link`.
 	 * @param {String}		part		The property name, or `Symbol` observed.
 	 * @param {Function}	NextLink	The class for the next `Link`.
+	 * @param {Number}		index		The index of `part` in the `path`.
 	 *
 	 * @return {Function}	The constructor of the new subclass.
 	 */
-	static define(path, part, NextLink) {
+	static define(path, part, NextLink, index) {
 		class PathLink extends Link {};
 
 		var prototype = PathLink.prototype;
@@ -163,6 +329,7 @@ export default class Link {
 		prototype.path			= path;
 		prototype.part			= part;
 		prototype.NextLink		= NextLink;
+		prototype.index			= index;
 
 		return PathLink;
 	}
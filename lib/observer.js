@@ -1,5 +1,13 @@
+import ArrayTracker	from './array';
+import Batch			from './batch';
+import Digest			from './digest';
+import Dispatch			from './dispatch';
+import Intercept		from './intercept';
 
-var observers = {};
+
+var observers	= {},
+	shared		= new WeakMap(),
+	stores		= new WeakMap();
 
 
 /**
@@ -14,21 +22,31 @@ export default class Observer {
 	 * Observe a specified `property` on a given `object`, and invoke the
 	 * `callback` passed when any changes occur.
 	 *
+	 * Where `dirtyCheck` is `true`, properties which cannot be instrumented,
+	 * such as read-only properties, or those of frozen or sealed objects, are
+	 * registered for dirty checking by `Digest`, rather than ignored, or
+	 * throwing, as they are by default.
+	 *
 	 * @param {Object}		object		The `object` to observe on.
 	 * @param {String}		property	The `property` name or `Symbol`.
 	 * @param {Function}	callback	The `callback` to invoke on change.
+	 * @param {boolean}		dirtyCheck	Whether to fall back to dirty checking.
 	 *
 	 * @return {Observer}	The `Observer` instance handling this observation.
 	 */
-	static observe(object, property, callback) {
+	static observe(object, property, callback, dirtyCheck) {
 		var map			= this.getMap(property, true),
 			observer	= map.get(object);
 
 		if (!observer) {
-			observer = new Observer(object, property);
+			observer = new Observer(object, property, dirtyCheck);
 			map.set(object, observer);
 		}
 
+		if (dirtyCheck && observer.fixed) {
+			observer.watch();
+		}
+
 		return observer.add(callback);
 	}
 
@@ -53,6 +71,157 @@ export default class Observer {
 	}
 
 
+	/**
+	 * Screen every write to the `property` of the `object` given with the
+	 * `interceptor` specified, before it is committed, or any callback is
+	 * notified.  The `interceptor` receives the value written, the old value,
+	 * the `object` and the `property`, and returns the value to write in its
+	 * place, or `Observer.CANCEL` to veto the write.  If it throws, the write
+	 * is rejected, and the error thrown to the writer.  See `Intercept`.
+	 *
+	 * ```js
+	 * Observer.intercept(item, 'quantity', (value) => {
+	 * 	if (value < 0) { throw new RangeError('Negative quantity'); }
+	 * 	return Math.round(value);
+	 * });
+	 * ```
+	 *
+	 * @param {Object}		object		The `object` to intercept writes to.
+	 * @param {String}		property	The `property` name or `Symbol`.
+	 * @param {Function}	interceptor	The `interceptor` to apply.
+	 *
+	 * @return {Observer}	The `Observer` instance handling the property.
+	 */
+	static intercept(object, property, interceptor) {
+		var map			= this.getMap(property, true),
+			observer	= map.get(object);
+
+		if (!observer) {
+			observer = new Observer(object, property);
+			map.set(object, observer);
+		}
+
+		return observer.intercept(interceptor);
+	}
+
+
+	/**
+	 * Stop the `interceptor` specified from screening writes to the
+	 * `property` of the `object` given.
+	 *
+	 * @param {Object}		object		The `object` to stop intercepting.
+	 * @param {String}		property	The `property` name or `Symbol`.
+	 * @param {Function}	interceptor	The `interceptor` to remove.
+	 */
+	static unintercept(object, property, interceptor) {
+		var map			= this.getMap(property, false),
+			observer	= map ? map.get(object) : null;
+
+		if (!observer) {
+			return;
+		}
+
+		observer.unintercept(interceptor);
+	}
+
+
+	/**
+	 * Delete the `property` given from the `object` specified, notifying any
+	 * callbacks observing it, and leaving the `object` as if the property had
+	 * never been defined.  Unlike the `delete` operator, this removes the
+	 * property correctly where it is observed.
+	 *
+	 * @param {Object}	object		The `object` to delete from.
+	 * @param {String}	property	The `property` name or `Symbol`.
+	 *
+	 * @return {boolean} `true` if the property no longer exists on `object`.
+	 */
+	static delete(object, property) {
+		var map			= this.getMap(property, false),
+			observer	= map ? map.get(object) : null;
+
+		if (!observer) {
+			return Reflect.deleteProperty(object, property)
+				&& Observer.unstore(object, property);
+		}
+
+		return observer.delete();
+	}
+
+
+	/**
+	 * Declare the `properties` given as observable for every instance of the
+	 * `Class` specified, by installing a single shared accessor for each on its
+	 * prototype, with values stored per instance.  Instances may then be
+	 * observed without redefining any of these properties on each instance.
+	 *
+	 * Any value already defined for a property on the prototype is used as
+	 * its default.  Values are not own properties of each instance, so are
+	 * not listed by `Object.keys`, or serialised by `JSON.stringify`.
+	 *
+	 * ```js
+	 * class Model { constructor(name) { this.name = name; } }
+	 * Observer.instrumentClass(Model, [ 'name', 'age' ]);
+	 * ```
+	 *
+	 * @param {Function}	Class		The class to instrument.
+	 * @param {Array}		properties	The property names, or `Symbol`s.
+	 *
+	 * @return {Function}	The `Class` given.
+	 */
+	static instrumentClass(Class, properties) {
+		var prototype = Class.prototype;
+
+		for(let property of properties) {
+			var existing	= Object.getOwnPropertyDescriptor(prototype, property),
+				fallback	= existing ? existing.value : undefined;
+
+			if (existing && !existing.hasOwnProperty('value')) {
+				throw new TypeError('Cannot instrument accessor property: '
+					+ String(property));
+			}
+
+			let store = function(value) {
+				var values = stores.get(this);
+
+				if (!values) {
+					stores.set(this, values = Object.create(null));
+				}
+
+				values[property] = value;
+			};
+
+			// Writes to observed instances are stored by their `Observer`.
+			let set = function(value) {
+				var map			= observers[property],
+					observer	= map ? map.get(this) : null;
+
+				if (observer) {
+					observer.set(value);
+				}else{
+					store.call(this, value);
+				}
+			};
+
+			shared.set(set, store);
+
+			Object.defineProperty(prototype, property, {
+				enumerable:		true,
+				configurable:	true,
+				set:			set,
+
+				get() {
+					var values = stores.get(this);
+					return values && property in values
+						? values[property] : fallback;
+				}
+			});
+		}
+
+		return Class;
+	}
+
+
 	// ----------------------------- PRIVATE API -------------------------------
 
 
@@ -66,8 +235,10 @@ export default class Observer {
 	 *
 	 * @param {Object}	target		The `target` `Object` to observe.
 	 * @param {String}	property	The `property` name or `Symbol` to observe.
+	 * @param {boolean}	dirtyCheck	Whether to leave properties which cannot be
+	 *								redefined uninstrumented, rather than throw.
 	 */
-	constructor(target, property) {
+	constructor(target, property, dirtyCheck) {
 		var chain		= target,
 			original	= Object.getOwnPropertyDescriptor(target, property),
 			definition	= original;
@@ -87,23 +258,39 @@ export default class Observer {
 		this.chainedSet		= set;
 
 		this.callbacks		= [];
+		this.interceptors	= [];
+		this.queue			= [];
 		this.value			= value;
 
+		this.target			= target;
+		this.property		= property;
+
+		// Short circuit for accessors shared by an instrumented class, which
+		// already defer to this `Observer`, so require no definition.
+		if (shared.has(set)) {
+			this.chainedSet	= shared.get(set);
+			this.value		= target[property];
+			return;
+		}
+
 		// Short circuit for read-only properties - still maintain callback
 		// array, so that add and remove work as expected, but no definition is
-		// required as change events simply cannot fire.
+		// required as change events simply cannot fire, unless dirty checked.
 		if (writable === false || (get && !set)) {
+			this.fixed = true;
 			return;
 		}
 
-		this.target			= target;
-		this.property		= property;
+		// Properties which cannot be redefined may only be dirty checked.
+		var configurable = original
+			? original.configurable : Object.isExtensible(target);
 
-		// Store the original, not the resolved property descriptor, so that the
-		// cleanup after unobserving correctly restores the original state.
-		this.definition		= original;
+		if (!configurable && dirtyCheck) {
+			this.fixed = true;
+			return;
+		}
 
-		Object.defineProperty(target, property, {
+		this.descriptor		= {
 
 			enumerable:		!!enumerable,
 			configurable:	true,
@@ -111,7 +298,20 @@ export default class Observer {
 			set: 			this.set.bind(this),
 			get: 			get || this.get.bind(this),
 
-		});
+		};
+
+		// Array indices and lengths are also tracked through the array's
+		// mutation methods, and indices outside the array (or its length,
+		// which cannot be redefined) are tracked through those alone.
+		if (Array.isArray(target)) {
+			ArrayTracker.track(this);
+
+			if (!ArrayTracker.instrumentable(target, property)) {
+				return;
+			}
+		}
+
+		this.instrument();
 	}
 
 
@@ -144,29 +344,137 @@ export default class Observer {
 		}
 
 		this.callbacks.splice(index, 1);
+		this.prune();
 
-		if (this.callbacks.length === 0) {
-			this.dispose();
+		return true;
+	}
 
-			if (this.definition) {
-				observers[this.property].delete(this.target);
-			}
+
+	/**
+	 * Register the `interceptor` supplied with this `Observer`, to screen
+	 * writes to the property being observed.
+	 *
+	 * @param {Function} interceptor	The `interceptor` to register.
+	 *
+	 * @return {Observer} this
+	 */
+	intercept(interceptor) {
+		this.interceptors.push(interceptor);
+		return this;
+	}
+
+
+	/**
+	 * Remove the `interceptor` specified from this `Observer`.
+	 *
+	 * @param {Function} interceptor	The `interceptor` to remove.
+	 *
+	 * @return {boolean} `true` if the interceptor was found and removed.
+	 */
+	unintercept(interceptor) {
+		var index = this.interceptors.indexOf(interceptor);
+		if (index === -1) {
+			return false;
 		}
 
+		this.interceptors.splice(index, 1);
+		this.prune();
+
 		return true;
 	}
 
 
+	/**
+	 * Dispose of this `Observer`, once it holds neither callbacks, nor
+	 * interceptors.
+	 */
+	prune() {
+		if (this.callbacks.length === 0 && this.interceptors.length === 0
+				&& this.dispose()) {
+			observers[this.property].delete(this.target);
+		}
+	}
+
+
 	/**
 	 * Dispose of this `Observer`, removing any instrumentation from the target
 	 * `Object`, and ensuring no further change events will be received.
+	 *
+	 * @return {boolean} `true` if the target no longer refers to this instance.
 	 */
 	dispose() {
+		if (this.descriptor && Array.isArray(this.target)) {
+			ArrayTracker.untrack(this);
+		}
+
+		if (this.watched) {
+			Digest.unwatch(this);
+		}
+
+		return this.release();
+	}
+
+
+	/**
+	 * Register the observed property, which cannot be instrumented, for dirty
+	 * checking, reading its current value as the baseline.
+	 */
+	watch() {
+		if (this.watched) {
+			return;
+		}
+
+		this.watched	= true;
+		this.value		= this.target[this.property];
+
+		Digest.watch(this);
+	}
+
+
+	/**
+	 * Install the accessor for the observed property on the target `Object`,
+	 * capturing its current definition, so that it can later be restored.
+	 */
+	instrument() {
+		var target		= this.target,
+			property	= this.property;
+
+		// Store the original, not the resolved property descriptor, so that the
+		// cleanup after unobserving correctly restores the original state.
+		this.definition		= Object.getOwnPropertyDescriptor(target, property);
+		this.instrumented	= true;
+		this.deleted		= false;
+
+		Object.defineProperty(target, property, this.descriptor);
+	}
+
+
+	/**
+	 * Restore the observed property to its original definition, holding the
+	 * current value, without otherwise disposing of this `Observer`.
+	 *
+	 * @return {boolean} `true` if the target no longer refers to this instance.
+	 */
+	release() {
 		var definition = this.definition;
 
-		// Special case, read only property, so no changes made.
+		// Special case, read only or untracked property, so no changes made.
+		if (!this.instrumented) {
+			return true;
+		}
+
+		// Special case, the property was deleted, and not defined since, so the
+		// hidden accessor is removed, leaving no trace.
+		if (this.deleted) {
+			Reflect.deleteProperty(this.target, this.property);
+			this.instrumented = false;
+			return true;
+		}
+
+		// Special case, the property was not originally defined on the target,
+		// so the accessor remains, to hold its value.
 		if (!definition) {
-			return;
+			return false;
 		}
 
 		if (definition.hasOwnProperty('value')) {
@@ -174,6 +482,54 @@ export default class Observer {
 		}
 
 		Object.defineProperty(this.target, this.property, definition);
+		this.instrumented = false;
+
+		return true;
+	}
+
+
+	/**
+	 * Delete the observed property from the target `Object`, notifying
+	 * callbacks of the value it then resolves to, usually `undefined`.  The
+	 * accessor is installed again, but hidden from enumeration, so that the
+	 * property is still observed once assigned, when it is listed again.
+	 *
+	 * @return {boolean} `true` if the property no longer exists on the target.
+	 */
+	delete() {
+		var target		= this.target,
+			property	= this.property,
+			old			= this.value;
+
+		if (!Reflect.deleteProperty(target, property)) {
+			return false;
+		}
+
+		Observer.unstore(target, property);
+
+		// Any definition further up the prototype chain is now exposed.
+		var value = target[property];
+
+		if (this.instrumented) {
+			this.definition		= undefined;
+			this.chainedSet		= undefined;
+			this.descriptor.get	= this.get.bind(this);
+
+			if (Object.isExtensible(target)) {
+				Object.defineProperty(target, property,
+					Object.assign({}, this.descriptor, { enumerable: false }));
+				this.deleted = true;
+			}else{
+				this.instrumented = false;
+			}
+		}
+
+		if (Batch.recording) {
+			Batch.record(() => { this.set(old); });
+		}
+
+		this.update(value);
+		return true;
 	}
 
 
@@ -182,31 +538,163 @@ export default class Observer {
 	 *
 	 * @param {any} 	value	The `value` to set this property to.
 	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 *
+	 * @return {boolean}	`false` if the write was vetoed by an interceptor.
 	 */
 	set(value, silent) {
 		var target	= this.target,
 			set		= this.chainedSet;
 
-		if (this.value === value) {
-			return;
+		if (this.notifying) {
+			this.queue.push(() => { this.set(value, silent); });
+			return true;
+		}
+
+		// Restoring the value held before a failed batch is never screened.
+		if (this.interceptors.length > 0 && !Batch.rolling) {
+			value = Intercept.apply(this.interceptors, value, this.value,
+				target, this.property);
 		}
 
-		if (!silent) {
+		if (value === CANCEL) {
+			return false;
+		}
+
+		if (Object.is(this.value, value)) {
+			return true;
+		}
+
+		if (Batch.recording) {
+			let old = this.value, property = this.property;
+			Batch.record(() => { target[property] = old; });
+		}
+
+		// The write is committed, even where a callback throws, before any
+		// notification is delivered.
+		Batch.hold(() => this.exclusive(() => {
+			try {
+				this.commit(value, silent);
+			}finally{
+
+				// A deleted property is listed again, as if assigned.
+				if (this.deleted) {
+					Object.defineProperty(target, this.property, this.descriptor);
+					this.deleted = false;
+				}else if (set) {
+					set.call(target, value);
+				}
 
-			for(let callback of this.callbacks) {
-				callback(target, value);
 			}
+		}));
+
+		return true;
+	}
 
+
+	/**
+	 * Update the value held for the property, notifying callbacks of the
+	 * change, without passing it on to any chained setter.  This method is
+	 * internal, and is used where the property has already been changed by
+	 * other means, such as an array mutation method.
+	 *
+	 * @param {any} 	value	The new `value` of the property.
+	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 */
+	update(value, silent) {
+		if (this.notifying) {
+			this.queue.push(() => { this.update(value, silent); });
+			return;
+		}
+
+		// Notifications are held until the value held is up to date.
+		Batch.hold(() => this.exclusive(() => { this.commit(value, silent); }));
+	}
+
+
+	/**
+	 * Invoke the callbacks of this `Observer` with the `value` given, and then
+	 * hold it, unless it is the value already held.
+	 *
+	 * @param {any} 	value	The new `value` of the property.
+	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 */
+	commit(value, silent) {
+		var target = this.target;
+
+		if (Object.is(this.value, value)) {
+			return;
 		}
 
+		var errors = silent ? [] : Dispatch.collect(this.callbacks,
+			(callback) => { callback(target, value); });
+
 		this.value = value;
 
-		if (set) {
-			set.call(target, value);
+		Dispatch.raise(errors);
+	}
+
+
+	/**
+	 * Invoke the function `fn` once every change queued by the callbacks of
+	 * the change in progress, if any, has been applied, or immediately, if
+	 * there is none.
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 */
+	settled(fn) {
+		if (this.notifying) {
+			this.queue.push(fn);
+		}else{
+			fn();
 		}
 	}
 
 
+	/**
+	 * Invoke the function `fn`, which changes the property, queueing any
+	 * further change made by a callback meanwhile.  Once `fn` returns, each
+	 * change queued is applied, in the order queued, until no more are
+	 * queued, or `Batch.limit` is exceeded, in which case a `RangeError` is
+	 * reported, along with any errors thrown by callbacks, as by `Dispatch`.
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 */
+	exclusive(fn) {
+		var invoke = (fn) => { fn(); };
+
+		this.notifying = true;
+
+		var errors = Dispatch.collect([ fn ], invoke);
+
+		this.notifying = false;
+
+		// Changes queued by a nested change are applied by the outermost.
+		if (this.draining) {
+			Dispatch.raise(errors);
+			return;
+		}
+
+		this.draining = true;
+
+		for(var rounds = 1; this.queue.length > 0;) {
+			var next = this.queue.shift();
+
+			if (++rounds > Batch.limit) {
+				this.queue = [];
+				errors.push(new RangeError('Callbacks of ' + String(this.property)
+					+ ' did not settle within ' + Batch.limit + ' rounds'));
+				break;
+			}
+
+			errors.push(...Dispatch.collect([ next ], invoke));
+		}
+
+		this.draining = false;
+
+		Dispatch.raise(errors);
+	}
+
+
 	/**
 	 * Get the value of the property observed.  This method is internal, and
 	 * should *NOT* be used directly.  Properties should be accessed via the
@@ -220,6 +708,26 @@ export default class Observer {
 	}
 
 
+	/**
+	 * Remove any value stored for the `property` given of the `object`
+	 * specified, by the shared accessor of an instrumented class.
+	 *
+	 * @param {Object}	object		The instance to remove the value from.
+	 * @param {String}	property	The `property` name or `Symbol`.
+	 *
+	 * @return {boolean} `true`, always.
+	 */
+	static unstore(object, property) {
+		var values = stores.get(object);
+
+		if (values) {
+			delete values[property];
+		}
+
+		return true;
+	}
+
+
 	/**
 	 * Obtain the `WeakMap` for a given property, mapping target `Object`s to
 	 * existing `Observer` instances.
@@ -239,3 +747,9 @@ export default class Observer {
 
 
 }
+
+
+/**
+ * Returned by an interceptor to veto a write, without error.
+ */
+var CANCEL = Observer.CANCEL = Intercept.CANCEL;
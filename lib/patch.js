@@ -0,0 +1,326 @@
+import Scheduler		from './scheduler';
+import Batch			from './batch';
+import Observer			from './observer';
+import ProxyObserver	from './proxy';
+import Pointer			from './pointer';
+
+
+var INDEX = /^(0|[1-9][0-9]*)$/;
+
+
+/**
+ * A feed of JSON Patch operations, as described by RFC 6902, describing each
+ * change to a set of `Path`s from a given root, along with the application of
+ * such operations to a root, through the same instrumentation, so that its
+ * observers are notified as normal.
+ *
+ * A path whose value becomes `undefined` is reported as a `remove`, a path
+ * whose value was `undefined` as an `add`, and any other change as a
+ * `replace`.  Where the change is to an object further up the path, breaking
+ * or restoring it, the operation describes that object instead, with its
+ * whole subtree.  Values are copied, as JSON, so that each operation
+ * describes the state at the time of the change.
+ */
+export default class Patch {
+
+
+	/**
+	 * Construct a new `Patch` feed, passing an operation to the `callback`
+	 * given for each change to the `paths` specified, from the `root` given.
+	 *
+	 * Only paths of property names and indices can be represented by a JSON
+	 * Pointer, so a `TypeError` is thrown for paths containing `Symbol`s,
+	 * `Path.ANY`, or collection segments.
+	 *
+	 * @param {Object}		root		The root to observe.
+	 * @param {Array}		paths		The `Path`s to observe.
+	 * @param {Function}	callback	Receives each operation.
+	 */
+	constructor(root, paths, callback) {
+		this.subscriptions = paths.map(
+			(path) => Patch.observe(root, path, callback));
+	}
+
+
+	/**
+	 * Stop observing the paths of this feed.  Further calls have no effect.
+	 */
+	unsubscribe() {
+		for(let subscription of this.subscriptions) {
+			subscription.unsubscribe();
+		}
+	}
+
+
+	/**
+	 * Apply the JSON Patch `operations` given to the `root` specified, writing
+	 * through any instrumentation, so that observers are notified.  The
+	 * `add`, `remove` and `replace` operations are supported.
+	 *
+	 * The operations are applied as a batch, so that observers are notified
+	 * once every operation has been applied, and if any operation fails, every
+	 * write is rolled back, and the error rethrown.
+	 *
+	 * @param {Object}	root		The root to apply the operations to.
+	 * @param {Array}	operations	The JSON Patch operations to apply.
+	 */
+	static applyPatch(root, operations) {
+		Batch.run(() => {
+			for(let operation of operations) {
+				Patch.applyOperation(root, operation);
+			}
+		});
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Observe the `path` given from the `root` specified, passing an operation
+	 * to the `callback` for each change.
+	 *
+	 * A change in the break of the path is described at the segment which
+	 * breaks, or broke, it, whichever is nearer the `root`, as the object
+	 * there was replaced, so the change in the value of the path itself,
+	 * which follows from it, is not described again.
+	 *
+	 * @param {Object}		root		The root to observe.
+	 * @param {Path}		path		The `Path` to observe.
+	 * @param {Function}	callback	Receives each operation.
+	 *
+	 * @return {Subscription}	The subscription to the `path`.
+	 */
+	static observe(root, path, callback) {
+		var parts		= path.path,
+			pointer		= Pointer.stringify(parts),
+			described	= null,
+			subscription;
+
+		function onBreak(broken, previous) {
+			var index	= Math.min(broken ? broken.index : parts.length,
+					previous ? previous.index : parts.length),
+				prefix	= parts.slice(0, index + 1),
+				missing	= !!previous && previous.index === index
+					&& previous.reason === 'missing';
+
+			described = { value: subscription.value };
+
+			callback(Patch.operation(Pointer.stringify(prefix),
+				Patch.read(root, prefix), !missing));
+		}
+
+		subscription = path.observe(root, (value, old) => {
+			var skip = described && Object.is(described.value, value);
+
+			described = null;
+
+			if (!skip) {
+				callback(Patch.operation(pointer, value, old !== undefined));
+			}
+		}, { scheduler: Scheduler.sync, onBreak: onBreak });
+
+		return subscription;
+	}
+
+
+	/**
+	 * Describe a change in the value at the `pointer` given as an operation.
+	 *
+	 * @param {String}	pointer	The JSON Pointer of the path changed.
+	 * @param {any}		value	The new value of the path.
+	 * @param {boolean}	existed	Whether the path held a value beforehand.
+	 *
+	 * @return {Object}	The JSON Patch operation.
+	 */
+	static operation(pointer, value, existed) {
+		if (value === undefined) {
+			return { op: 'remove', path: pointer };
+		}
+
+		return {
+			op:		existed ? 'replace' : 'add',
+			path:	pointer,
+			value:	Patch.copy(value)
+		};
+	}
+
+
+	/**
+	 * Read the value at the `parts` given from the `root` specified, without
+	 * observing any of the properties along the way.
+	 *
+	 * @param {Object}	root	The root to read from.
+	 * @param {Array}	parts	The list of property names, or indices.
+	 *
+	 * @return {any}	The value read, or `undefined` if missing.
+	 */
+	static read(root, parts) {
+		var value = root;
+
+		for(let part of parts) {
+			if (value === undefined || value === null) {
+				return undefined;
+			}
+			value = value[part];
+		}
+
+		return value;
+	}
+
+
+	/**
+	 * Apply the single JSON Patch `operation` given to the `root` specified.
+	 *
+	 * @param {Object} root			The root to apply the operation to.
+	 * @param {Object} operation	The JSON Patch operation.
+	 */
+	static applyOperation(root, operation) {
+		var parts	= Pointer.parse(operation.path),
+			last	= parts.pop(),
+			target	= root;
+
+		if (last === undefined) {
+			throw new Error('Cannot patch the root itself');
+		}
+
+		for(let part of parts) {
+			if (!Patch.contains(target, part)) {
+				throw new Error('Path not found: ' + operation.path);
+			}
+			target = target[part];
+		}
+
+		if (!target || typeof target !== 'object') {
+			throw new Error('Path not found: ' + operation.path);
+		}
+
+		var value = Patch.copy(operation.value);
+
+		if (Batch.recording) {
+			Patch.journal(target, last);
+		}
+
+		switch(operation.op) {
+
+			case 'add':
+				if (Array.isArray(target)) {
+					target.splice(last === '-' ? target.length
+						: Patch.index(target, last, operation, true), 0, value);
+				}else{
+					target[last] = value;
+				}
+				return;
+
+			case 'remove':
+				if (Array.isArray(target)) {
+					target.splice(Patch.index(target, last, operation), 1);
+				}else if (!Patch.contains(target, last)) {
+					throw new Error('Path not found: ' + operation.path);
+				}else if (ProxyObserver.isProxy(target)) {
+					ProxyObserver.delete(target, last);
+				}else{
+					Observer.delete(target, last);
+				}
+				return;
+
+			case 'replace':
+				if (Array.isArray(target)) {
+					target[Patch.index(target, last, operation)] = value;
+				}else if (!Patch.contains(target, last)) {
+					throw new Error('Path not found: ' + operation.path);
+				}else{
+					target[last] = value;
+				}
+				return;
+
+		}
+
+		throw new Error('Unsupported patch operation: ' + operation.op);
+	}
+
+
+	/**
+	 * Record the state of the `part` of the `target` given, to be restored if
+	 * the patch fails.  Only observed properties are journalled by their
+	 * observers, so this also covers writes to unobserved objects.
+	 *
+	 * @param {Object}	target	The object, or array, about to be written.
+	 * @param {String}	part	The property name, or index.
+	 */
+	static journal(target, part) {
+		if (Array.isArray(target)) {
+			let contents = target.slice();
+
+			Batch.record(() => { target.splice(0, target.length, ...contents); });
+			return;
+		}
+
+		var existed	= Patch.contains(target, part),
+			old		= target[part];
+
+		Batch.record(() => {
+			if (existed) {
+				target[part] = old;
+			}else if (ProxyObserver.isProxy(target)) {
+				ProxyObserver.delete(target, part);
+			}else{
+				Observer.delete(target, part);
+			}
+		});
+	}
+
+
+	/**
+	 * Determine whether the `target` given holds the `part` specified as an
+	 * own enumerable property, or an inherited accessor, such as that of an
+	 * instrumented class.  Deleted properties which remain observed are not
+	 * enumerable, so are not considered to exist.
+	 *
+	 * @param {any}		target	The value to test.
+	 * @param {String}	part	The property name.
+	 *
+	 * @return {boolean}	`true` if the `part` exists on the `target`.
+	 */
+	static contains(target, part) {
+		return !!target && typeof target === 'object' && part in target
+			&& (Object.prototype.propertyIsEnumerable.call(target, part)
+				|| target[part] !== undefined);
+	}
+
+
+	/**
+	 * Validate the array index `part` given of the `array` specified.
+	 *
+	 * @param {Array}	array		The array indexed.
+	 * @param {String}	part		The index, from a JSON Pointer.
+	 * @param {Object}	operation	The operation, for error reporting.
+	 * @param {boolean}	inclusive	Whether the index may equal the length.
+	 *
+	 * @return {Number}	The index.
+	 */
+	static index(array, part, operation, inclusive) {
+		var index = Number(part);
+
+		if (!INDEX.test(part) || index > array.length
+				|| (index === array.length && !inclusive)) {
+			throw new Error('Invalid array index: ' + operation.path);
+		}
+
+		return index;
+	}
+
+
+	/**
+	 * Copy the `value` given, as JSON.
+	 *
+	 * @param {any} value	The value to copy.
+	 *
+	 * @return {any}	The copy.
+	 */
+	static copy(value) {
+		return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+	}
+
+
+}
@@ -1,5 +1,34 @@
 
-import Link from './link';
+import Link			from './link';
+import Wildcard		from './wildcard';
+import Syntax		from './syntax';
+import Observer		from './observer';
+import ProxyObserver	from './proxy';
+import Subscription	from './subscription';
+import Batch		from './batch';
+import Computed		from './computed';
+import Binding		from './binding';
+import History		from './history';
+import Patch		from './patch';
+import Pointer		from './pointer';
+import Digest		from './digest';
+import Segment		from './segment';
+import Dispatch		from './dispatch';
+import Intercept		from './intercept';
+
+
+var INDEX = /^(0|[1-9][0-9]*)$/;
+
+var BACKENDS = {
+	descriptor:	Observer,
+	proxy:		ProxyObserver
+};
+
+var STOPS = {
+	missing:	'is missing',
+	primitive:	'holds a primitive value',
+	refused:	'cannot be written'
+};
 
 
 /**
@@ -12,6 +41,10 @@ export default class Path {
 	/**
 	 * Construct a new `Path` to observe a specified property chain.
 	 *
+	 * The segment `Path.ANY` may be used to match every own key of an object,
+	 * in which case the path resolves to an object mapping each key to the
+	 * value found by following the remainder of the path from it.
+	 *
 	 * @param {String} path A list of property names, or `Symbol`s.
 	 */
 	constructor(...path) {
@@ -21,7 +54,8 @@ export default class Path {
 
 		var next = null;
 		for(var index = path.length - 1; index > -1; index--) {
-			next = Link.define(this, path[index], next);
+			var part = path[index];
+			next = (part === ANY ? Wildcard : Link).define(this, part, next, index);
 		}
 
 		this.FirstLink	= next;
@@ -39,26 +73,78 @@ export default class Path {
 	 * function callback(old, value) { ... }
 	 * ```
 	 *
+	 * For paths containing `Path.ANY`, a third parameter holds the key of the
+	 * first wildcard whose resolved value changed, or `undefined` if the change
+	 * occurred before it.
+	 *
+	 * The following `options` may be supplied:
+	 *
+	 * - `scheduler`: The scheduler determining when the `callback` is invoked,
+	 *   overriding the scheduler configured for this `Path`.  See `Scheduler`.
+	 * - `onBreak`: A function invoked when the chain of properties breaks,
+	 *   moves to another segment, or re-forms, delivered alongside `callback`.
+	 *   It receives the current break, or `null` once the chain re-forms, and
+	 *   the previous break, or `null`.  A break is an object holding the
+	 *   `index` of the segment whose value interrupts the chain, and the
+	 *   `reason`, either `'missing'`, for an `undefined` or `null` value, or
+	 *   `'primitive'`.  Breaks after a `Path.ANY` segment are not reported.
+	 * - `record`: If `true`, the `callback` receives a single change record,
+	 *   in place of its usual parameters.  See below.
+	 * - `immediate`: If `true`, the `callback` is invoked with the current
+	 *   value straight away, as a change from `undefined`.
+	 * - `once`: If `true`, the `callback` is removed once it has been notified
+	 *   of a change, not including any `immediate` notification.
+	 * - `filter`: A predicate, receiving the new and old values, which must
+	 *   return `true` for the `callback` to be notified of a change.  The old
+	 *   value is always the last value the `callback` was notified of.
+	 *
+	 * A change record holds the `root` and `Path` observed, the `target`
+	 * object and `property` actually written, the `index` of the segment
+	 * observing that property, the new `value` and `old` value, and the
+	 * wildcard `key`, if any.  Where several writes are delivered as one
+	 * notification, by a batch or scheduler, the record describes the last.
+	 *
 	 * @param {Object}		root		The `root` `Object` to observe..
 	 * @param {Function}	callback	The `callback` to invoke on change.
+	 * @param {Object}		options		Options for this `callback`, if any.
+	 *
+	 * @return {Subscription}	A handle, with `unsubscribe`, `pause` and
+	 *							`resume` methods, and the current `value`.
 	 */
-	observe(root, callback) {
+	observe(root, callback, options = {}) {
 		if (!root) {
 			throw new Error('Cannot bind to undefined value');
 		}
 
-		var link = this.observed.get(root);
+		var link			= this.observed.get(root),
+			subscription	= new Subscription(link, callback,
+				Object.assign({}, options, {
+					scheduler:	options.scheduler || this.scheduler,
+					equals:		this.equals,
+					release:	(subscription) => this.remove(root, subscription)
+				}));
 
 		if (!link) {
-			link = new this.FirstLink(root);
+			link = new this.FirstLink(root, this.backendFor(root));
+			link.setLast();
 			this.observed.set(root, link);
 
-			link.callbacks	= [ callback ];
-			link.value		= link.attach(root);
+			subscription.source	= link;
+			link.subscriptions	= [ subscription ];
+			link.value			= link.attach(root);
+			link.broken			= Path.broken(link);
 
 		}else{
-			link.callbacks.push(callback);
+			link.subscriptions.push(subscription);
+		}
+
+		subscription.broken = link.broken;
+
+		if (options.immediate) {
+			subscription.immediate();
 		}
+
+		return subscription;
 	}
 
 
@@ -83,21 +169,54 @@ export default class Path {
 			return false;
 		}
 
-		var callbacks	= link.callbacks,
-			index		= callbacks.indexOf(callback);
+		var subscription = link.subscriptions.find(
+			(subscription) => subscription.callback === callback);
 
-		if (index === -1) {
-			return false;
-		}
+		return subscription ? this.remove(root, subscription) : false;
+	}
 
-		callbacks.splice(index, 1);
 
-		if (callbacks.length === 0) {
-			link.detach();
-			this.observed.delete(root);
+	/**
+	 * Screen every write to the final property of this path, from the `root`
+	 * `Object` given, with the `interceptor` specified, before it is committed,
+	 * or any callback is notified.  The interceptor follows the path, as the
+	 * objects along it are replaced.
+	 *
+	 * The `interceptor` receives the value written, the old value, and the
+	 * `target` object and `property` written, and returns the value to write
+	 * in its place, or `Path.CANCEL` to veto the write.  If it throws, the
+	 * write is rejected, and the error thrown to the writer:
+	 *
+	 * ```js
+	 * new Path('order', 'quantity').intercept(state, (value) => {
+	 * 	if (value < 0) { throw new RangeError('Negative quantity'); }
+	 * 	return value;
+	 * });
+	 * ```
+	 *
+	 * Paths containing `Path.ANY`, or ending in a collection segment, cannot
+	 * be intercepted.
+	 *
+	 * @param {Object}		root		The `root` `Object` to intercept from.
+	 * @param {Function}	interceptor	The `interceptor` to apply.
+	 *
+	 * @return {Subscription}	A handle, whose `unsubscribe` method removes
+	 *							the `interceptor`.
+	 */
+	intercept(root, interceptor) {
+		var parts = this.path;
+
+		if (parts.indexOf(ANY) !== -1 || parts[parts.length - 1] instanceof Segment) {
+			throw new Error('Cannot intercept writes to path: ' + this.toString());
 		}
 
-		return true;
+		var subscription	= this.observe(root, noop),
+			link			= this.observed.get(root);
+
+		subscription.interceptor = interceptor;
+		link.last.intercept(interceptor);
+
+		return subscription;
 	}
 
 
@@ -119,44 +238,630 @@ export default class Path {
 			return link.value;
 		}
 
-		for(let part of this.path) {
-			root = root[part];
-			if (!root) {
-				return root;
-			}
-		}
-
-		return root;
+		return Path.resolve(root, this.path, 0);
 	}
 
 
 	/**
 	 * Set the resolved value of this `Path`, starting from the `root` `Object`
-	 * given to the `value` passed.  This method will not  fail or throw if
-	 * properties along this path are missing, instead returning `false` to
-	 * indicate that the value could not be set.
+	 * given to the `value` passed.  Where the path cannot be followed to its
+	 * final segment, a `TypeError` is thrown, with an `index` property holding
+	 * the index of the segment it stopped at, and a `reason`, as for breaks:
+	 * `'missing'`, where the segment is `undefined` or `null`, `'primitive'`,
+	 * where it holds a primitive value, or `'refused'`, where a segment being
+	 * created cannot be written.  Where the final segment cannot be written,
+	 * such as a read-only property, `false` is returned.  Paths containing
+	 * `Path.ANY` cannot be set.
+	 *
+	 * The third parameter may be a `boolean`, indicating whether to set the
+	 * value silently, or an object with the following `options`:
+	 *
+	 * - `silent`: If `true`, callbacks will not be invoked.  This only applies
+	 *   where the `root` is observed by this path, and the chain is intact.
+	 * - `create`: If `true`, missing intermediate segments are created, as
+	 *   arrays for numeric segments, and objects otherwise.  The missing
+	 *   segments are built before being attached with a single write, so that
+	 *   each observer is notified once.
+	 * - `factory`: Creates each missing segment, in place of the default,
+	 *   given the key it will hold, and its index.
 	 *
 	 * @param {Object}	root	The `root` `Object` to traverse from.
 	 * @param {any}		value	The new resolved value to set.
-	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 * @param {Object}	options	`true` to set silently, or an options object.
 	 *
-	 * @return {boolean} `true` if the value was set, false if not.
+	 * @return {boolean} `true` if the value was set, false if the final
+	 *					segment could not be written, or the write was vetoed
+	 *					by an interceptor.
 	 */
-	set(root, value, silent) {
+	set(root, value, options = {}) {
+		if (typeof options !== 'object' || options === null) {
+			options = { silent: options };
+		}
+
+		var parts	= this.path,
+			last	= parts.length - 1,
+			target	= root;
+
+		if (!Path.traversable(root) || parts.indexOf(ANY) !== -1) {
+			return false;
+		}
+
+		for(var index = 0; index < last; index++) {
+			var next = Segment.resolve(target, parts[index]);
+
+			if (Path.traversable(next)) {
+				target = next;
+				continue;
+			}
+
+			if (next !== undefined && next !== null) {
+				this.stop(index, 'primitive');
+			}
+
+			if (!options.create) {
+				this.stop(index, 'missing');
+			}
+
+			this.create(target, index, value, options.factory || Path.container);
+			return true;
+		}
+
 		var link = this.observed.get(root);
 
-		if (!link || !link.last.set(value, silent)) {
+		if (!link || !link.last.observer) {
+			return Segment.assign(target, parts[last], value);
+		}
+
+		if (!link.last.set(value, options.silent)) {
 			return false;
 		}
 
-		link.value = value;
+		// The value committed may differ from that given, where intercepted,
+		// and silent writes are not seen by `change`.  Where written by a
+		// callback, the write is only applied once those queued before it are.
+		var observer = link.last.observer;
+
+		observer.settled(() => {
+			var committed = observer.get();
+
+			if (link.last.observer === observer
+					&& !(this.equals || Object.is)(link.value, committed)) {
+				link.value = committed;
+			}
+		});
+
 		return true;
 	}
 
 
+	/**
+	 * Delete the final property of this `Path`, starting from the `root`
+	 * `Object` given, notifying every path passing through it, and leaving
+	 * its object as if the property had never been defined.  Properties must
+	 * be deleted this way, rather than with the `delete` operator, for
+	 * observers to be notified.  A deleted property remains observed, while
+	 * hidden from enumeration, until assigned again.  Paths containing
+	 * `Path.ANY` cannot be deleted.
+	 *
+	 * @param {Object} root	The `root` `Object` to traverse from.
+	 *
+	 * @return {boolean} `true` if the property no longer exists, `false` if
+	 *					it could not be deleted, or the chain is broken.
+	 */
+	delete(root) {
+		var parts	= this.path,
+			last	= parts.length - 1,
+			target	= root;
+
+		if (!Path.traversable(root) || parts.indexOf(ANY) !== -1) {
+			return false;
+		}
+
+		for(var index = 0; index < last; index++) {
+			target = Segment.resolve(target, parts[index]);
+
+			if (!Path.traversable(target)) {
+				return false;
+			}
+		}
+
+		if (parts[last] instanceof Segment) {
+			return Segment.remove(target, parts[last]);
+		}
+
+		return this.backendFor(root).delete(target, parts[last]);
+	}
+
+
+	/**
+	 * Configure the behaviour of this `Path`, with any of the following
+	 * `options`:
+	 *
+	 * - `backend`: The observation backend to use, either `'descriptor'`, to
+	 *   instrument properties with `Object.defineProperty`, or `'proxy'`, to
+	 *   observe writes made through proxies created by `Path.observable`.  By
+	 *   default, the backend is chosen for each root, using `'proxy'` for
+	 *   roots created by `Path.observable`, and `'descriptor'` otherwise.
+	 * - `scheduler`: The scheduler determining when callbacks are invoked,
+	 *   `Scheduler.sync` by default.  See `Scheduler`.
+	 * - `dirtyCheck`: If `true`, properties along the path which cannot be
+	 *   instrumented, such as read-only or getter-only properties, or those
+	 *   of frozen or sealed objects, are dirty checked by `Path.digest()`, or
+	 *   `Path.poll()`, rather than ignored, or throwing.  Only applies to the
+	 *   `'descriptor'` backend.
+	 * - `equals`: The comparator determining whether the value of the path
+	 *   has changed, receiving the old and new values, and returning `true`
+	 *   if they are equal.  Defaults to `Object.is`.  A value considered
+	 *   equal does not replace the value held.  See `Equality`.
+	 *
+	 * Changes only apply to roots, or callbacks, observed after configuration.
+	 *
+	 * @param {Object} options	The options to apply.
+	 *
+	 * @return {Path} this
+	 */
+	configure(options) {
+		var { backend, scheduler, dirtyCheck, equals } = options;
+
+		if (scheduler !== undefined) {
+			this.scheduler = scheduler;
+		}
+
+		if (equals !== undefined) {
+			this.equals = equals;
+		}
+
+		if (dirtyCheck !== undefined) {
+			this.dirtyCheck = !!dirtyCheck;
+		}
+
+		if (backend !== undefined) {
+			if (backend !== null && !BACKENDS.hasOwnProperty(backend)) {
+				throw new Error('Unknown backend: ' + backend);
+			}
+			this.backend = backend && BACKENDS[backend];
+		}
+
+		return this;
+	}
+
+
+	/**
+	 * Describe this `Path` in the string path syntax accepted by `Path.parse`.
+	 *
+	 * @return {String}	The path syntax representing this `Path`.
+	 */
+	toString() {
+		return Syntax.stringify(this.path);
+	}
+
+
+	/**
+	 * Describe this `Path` as a JSON Pointer, as described by RFC 6901, such
+	 * that `Path.fromPointer` produces an equivalent `Path`.  A `TypeError` is
+	 * thrown for paths containing `Symbol`s, `Path.ANY` or collection
+	 * segments, which cannot be represented.
+	 *
+	 * @return {String}	The JSON Pointer representing this `Path`.
+	 */
+	toPointer() {
+		return Pointer.stringify(this.path);
+	}
+
+
+	/**
+	 * Construct a new `Path` from the string path syntax, for example:
+	 *
+	 * ```js
+	 * Path.parse('user.addresses[0]["zip code"]');
+	 * ```
+	 *
+	 * A `SyntaxError` is thrown if the `string` is malformed, with an `index`
+	 * property holding the position of the offending character.
+	 *
+	 * @param {String} string	The path `string` to parse.
+	 *
+	 * @return {Path}	A new `Path` observing the property chain described.
+	 */
+	static parse(string) {
+		return new Path(...Syntax.parse(string));
+	}
+
+
+	/**
+	 * Construct a new `Path` from a JSON Pointer, as described by RFC 6901,
+	 * for example:
+	 *
+	 * ```js
+	 * Path.fromPointer('/items/3/price');
+	 * ```
+	 *
+	 * Tokens which are array indices produce numeric segments, as they do in
+	 * the string path syntax.  A `SyntaxError` is thrown if the `pointer` is
+	 * malformed, with an `index` property holding the position of the
+	 * offending character.
+	 *
+	 * @param {String} pointer	The JSON Pointer to parse.
+	 *
+	 * @return {Path}	A new `Path` observing the property chain described.
+	 */
+	static fromPointer(pointer) {
+		return new Path(...Pointer.parse(pointer).map(
+			(part) => INDEX.test(part) ? Number(part) : part));
+	}
+
+
+	/**
+	 * Invoke the function `fn`, holding all path change notifications until it
+	 * returns.  Each path changed is then notified once, with the value it held
+	 * before the batch, and its final value, so that callbacks never observe a
+	 * partially applied set of changes.  Batches may be nested, in which case
+	 * notifications are held until the outermost batch returns.
+	 *
+	 * If `fn` throws, every observed property written during the batch is
+	 * restored to its previous value, before the error is rethrown.
+	 *
+	 * ```js
+	 * Path.batch(() => {
+	 * 	state.user.name = response.name;
+	 * 	state.user.email = response.email;
+	 * });
+	 * ```
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 *
+	 * @return {any}	The value returned by `fn`.
+	 */
+	static batch(fn) {
+		return Batch.run(fn);
+	}
+
+
+	/**
+	 * Obtain an observable proxy for the `object` given, through which any
+	 * write, addition or deletion can be observed by the `'proxy'` backend.
+	 * Objects read through the proxy are wrapped in the same way.
+	 *
+	 * @param {Object} object	The `object` to wrap.
+	 *
+	 * @return {Proxy}	The observable proxy for the `object`.
+	 */
+	static observable(object) {
+		return ProxyObserver.wrap(object);
+	}
+
+
+	/**
+	 * Create a path segment resolving the entry of a `Map` for the `key`
+	 * given, through `Map.prototype.get`.  The remainder of the path is
+	 * re-attached whenever `set`, `delete` or `clear` affects the `key`.
+	 *
+	 * ```js
+	 * new Path('users', Path.key(id), 'name');
+	 * ```
+	 *
+	 * @param {any} key	The key to look up.
+	 *
+	 * @return {Segment}	The path segment.
+	 */
+	static key(key) {
+		return Segment.key(key);
+	}
+
+
+	/**
+	 * Create a path segment resolving to whether a `Set` holds the `value`
+	 * given, or a `Map` holds it as a key, re-evaluated whenever the
+	 * collection's mutation methods affect the `value`.
+	 *
+	 * @param {any} value	The value to test for.
+	 *
+	 * @return {Segment}	The path segment.
+	 */
+	static has(value) {
+		return Segment.has(value);
+	}
+
+
+	/**
+	 * Re-read every property registered for dirty checking, by paths
+	 * configured with `dirtyCheck`, notifying callbacks of any changes, as
+	 * normal.
+	 *
+	 * @return {Number}	The number of properties changed.
+	 */
+	static digest() {
+		return Digest.run();
+	}
+
+
+	/**
+	 * Run `Path.digest()` every `interval` milliseconds, until the function
+	 * returned is invoked.
+	 *
+	 * @param {Number} interval	The time between digests, in milliseconds.
+	 * @param {Object} clock	The clock to use, providing `setTimeout` and
+	 *							`clearTimeout`, defaulting to the globals.
+	 *
+	 * @return {Function}	Stops polling, when invoked.
+	 */
+	static poll(interval, clock) {
+		return Digest.poll(interval, clock);
+	}
+
+
+	/**
+	 * Register the `callback` given to receive every error thrown by a change
+	 * callback.  By default, errors are rethrown to the writer once the write
+	 * is committed, and every callback has been invoked: alone, if only one
+	 * callback threw, or together as an `AggregateError` otherwise, or an
+	 * `Error` with the same `errors` property, where `AggregateError` is not
+	 * available.  Passing `null` restores the default.
+	 *
+	 * ```js
+	 * Path.onError((error) => { console.error(error); });
+	 * ```
+	 *
+	 * @param {Function} callback	Receives each error thrown, or `null`.
+	 */
+	static onError(callback) {
+		Dispatch.onError(callback);
+	}
+
+
+	/**
+	 * Set the maximum number of rounds of notifications delivered, before
+	 * callbacks which keep writing to the values they observe are considered
+	 * to be looping.  Writes made by callbacks are notified once the current
+	 * round of notifications has been delivered, and a `RangeError` is
+	 * reported, as by `Path.onError`, once the limit is exceeded.
+	 *
+	 * @param {Number} rounds	The maximum number of rounds, `100` by default.
+	 */
+	static limit(rounds) {
+		Batch.limit = rounds;
+	}
+
+
+	/**
+	 * Create a value derived from the `paths` given, which can be observed,
+	 * unobserved and read in the same way as a `Path`.  The value is
+	 * recomputed by `compute` whenever one of the `paths` changes, and
+	 * callbacks are only invoked when the computed value changes.
+	 *
+	 * ```js
+	 * var total = Path.computed([ price, quantity ], (p, q) => p * q);
+	 * total.observe(order, (value) => { ... });
+	 * ```
+	 *
+	 * @param {Array}		paths	The source `Path`s, or other computed values.
+	 * @param {Function}	compute	Derives the value, from the value of each
+	 *								source path, in order.
+	 *
+	 * @return {Computed}	The computed value.
+	 */
+	static computed(paths, compute) {
+		return new Computed(paths, compute);
+	}
+
+
+	/**
+	 * Bind `pathA` from `rootA` to `pathB` from `rootB`, so that a change at
+	 * either end is written to the other, keeping both equal.  The following
+	 * `options` may be supplied:
+	 *
+	 * - `to`: Converts values from `pathA`, before writing them to `pathB`.
+	 * - `from`: Converts values from `pathB`, before writing them to `pathA`.
+	 * - `initial`: Which end wins initially, `'a'` (the default) or `'b'`.
+	 *
+	 * Writes made by the binding are never propagated back, so a binding
+	 * cannot loop, even if its converters are not perfect inverses.
+	 *
+	 * ```js
+	 * var binding = Path.bind(view, new Path('age'), model, new Path('age'), {
+	 * 	to:		Number,
+	 * 	from:	String
+	 * });
+	 *
+	 * binding.unsubscribe();
+	 * ```
+	 *
+	 * @param {Object}	rootA	The root of the first end.
+	 * @param {Path}	pathA	The path of the first end.
+	 * @param {Object}	rootB	The root of the second end.
+	 * @param {Path}	pathB	The path of the second end.
+	 * @param {Object}	options	Options for this binding, if any.
+	 *
+	 * @return {Binding}	The binding, which is torn down by `unsubscribe()`.
+	 */
+	static bind(rootA, pathA, rootB, pathB, options) {
+		return new Binding(rootA, pathA, rootB, pathB, options);
+	}
+
+
+	/**
+	 * Record every change to the `paths` given, from the `root` specified, so
+	 * that changes can be undone and redone.  Changes made within the same
+	 * tick, or batch, are grouped into a single step.  The following
+	 * `options` may be supplied:
+	 *
+	 * - `limit`: The maximum number of steps which can be undone, `100` by
+	 *   default.
+	 * - `tick`: Invokes the function passed once the current tick completes,
+	 *   closing the current step.  Defaults to a microtask.
+	 *
+	 * ```js
+	 * var history = Path.history(doc, [ title, body ]);
+	 *
+	 * doc.title = 'Draft';
+	 * history.undo();
+	 * ```
+	 *
+	 * @param {Object}	root	The root to record changes from.
+	 * @param {Array}	paths	The `Path`s to record.
+	 * @param {Object}	options	Options for this history, if any.
+	 *
+	 * @return {History}	The history, with `undo`, `redo`, `canUndo` and
+	 *						`canRedo`, which stops recording on
+	 *						`unsubscribe()`.
+	 */
+	static history(root, paths, options) {
+		return new History(root, paths, options);
+	}
+
+
+	/**
+	 * Observe the `paths` given, from the `root` specified, passing a JSON
+	 * Patch operation, as described by RFC 6902, to the `callback` given for
+	 * each change.  The path of each operation is a JSON Pointer, and its
+	 * `op` is `'add'` where the path was `undefined`, `'remove'` where it
+	 * becomes `undefined`, and `'replace'` otherwise.  Where an object further
+	 * up the path breaks, or restores, the path, the operation describes that
+	 * object instead:
+	 *
+	 * ```js
+	 * var feed = Path.patches(state, [ new Path('user', 'name') ], (operation) => {
+	 * 	// { op: 'replace', path: '/user/name', value: 'Bob' }
+	 * });
+	 *
+	 * feed.unsubscribe();
+	 * ```
+	 *
+	 * Paths containing `Symbol`s, `Path.ANY` or collection segments cannot be
+	 * represented, and throw a `TypeError`.
+	 *
+	 * @param {Object}		root		The root to observe.
+	 * @param {Array}		paths		The `Path`s to observe.
+	 * @param {Function}	callback	Receives each operation.
+	 *
+	 * @return {Patch}	The feed, which stops on `unsubscribe()`.
+	 */
+	static patches(root, paths, callback) {
+		return new Patch(root, paths, callback);
+	}
+
+
+	/**
+	 * Apply the JSON Patch `operations` given to the `root` specified, as a
+	 * batch, writing through any instrumentation, so that observers are
+	 * notified as normal.  The `add`, `remove` and `replace` operations are
+	 * supported.  If any operation fails, every write is rolled back, and an
+	 * error thrown.
+	 *
+	 * @param {Object}	root		The root to apply the operations to.
+	 * @param {Array}	operations	The JSON Patch operations to apply.
+	 */
+	static applyPatch(root, operations) {
+		Patch.applyPatch(root, operations);
+	}
+
+
 	// ----------------------------- PRIVATE API -------------------------------
 
 
+	/**
+	 * Build the segments of this path missing from the `index` given, holding
+	 * the `value` passed at the end, and attach them to the `target` with a
+	 * single write.
+	 *
+	 * @param {Object}		target	The last object present along the path.
+	 * @param {Number}		index	The index of the first missing segment.
+	 * @param {any}			value	The new resolved value to set.
+	 * @param {Function}	factory	Creates each missing segment.
+	 */
+	create(target, index, value, factory) {
+		var parts = this.path;
+
+		for(var current = parts.length - 1; current > index; current--) {
+			var container = factory(parts[current], current - 1);
+
+			if (!Segment.assign(container, parts[current], value)) {
+				this.stop(current, 'refused');
+			}
+			value = container;
+		}
+
+		if (!Segment.assign(target, parts[index], value)) {
+			this.stop(index, 'refused');
+		}
+	}
+
+
+	/**
+	 * Throw a `TypeError` reporting that this path cannot be set, as it cannot
+	 * be followed past the segment at the `index` given, for the `reason`
+	 * specified.
+	 *
+	 * @param {Number} index	The index of the segment stopped at.
+	 * @param {String} reason	`'missing'`, `'primitive'` or `'refused'`.
+	 */
+	stop(index, reason) {
+		var error = new TypeError('Cannot set path "' + this + '", segment '
+			+ index + ' ' + STOPS[reason]);
+
+		error.index		= index;
+		error.reason	= reason;
+		throw error;
+	}
+
+
+	/**
+	 * Remove the `subscription` given from the `root` specified, and stop
+	 * observing the `root` entirely, once no subscriptions remain.
+	 *
+	 * @param {Object}			root			The `root` `Object` observed.
+	 * @param {Subscription}	subscription	The `Subscription` to remove.
+	 *
+	 * @return {boolean} `true` if the `subscription` was found and removed.
+	 */
+	remove(root, subscription) {
+		var link = this.observed.get(root);
+
+		if (!link) {
+			return false;
+		}
+
+		var subscriptions	= link.subscriptions,
+			index			= subscriptions.indexOf(subscription);
+
+		if (index === -1) {
+			return false;
+		}
+
+		subscription.cancel();
+		subscriptions.splice(index, 1);
+
+		if (subscription.interceptor) {
+			link.last.unintercept(subscription.interceptor);
+		}
+
+		if (subscriptions.length === 0) {
+			link.detach();
+			this.observed.delete(root);
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Determine the observation backend to use for the `root` given.
+	 *
+	 * @param {Object} root	The `root` `Object` to be observed.
+	 *
+	 * @return {Function}	The `Observer` class to observe each property with.
+	 */
+	backendFor(root) {
+		var backend = this.backend;
+
+		if (backend === ProxyObserver && !ProxyObserver.isProxy(root)) {
+			throw new Error('Proxy backend requires a root from Path.observable');
+		}
+
+		return backend || (ProxyObserver.isProxy(root) ? ProxyObserver : Observer);
+	}
+
+
 	/**
 	 * Callback handler for a change in the final property value for a `Path`.
 	 *
@@ -165,8 +870,11 @@ export default class Path {
 	 *
 	 * @param {Object}	root	The `root` from which the change occurred.
 	 * @param {any}		value	The new `value` the path resolves to.
+	 * @param {String}	key		The wildcard key that changed, if any.
+	 * @param {Object}	origin	The `target`, `property` and segment `index`
+	 *							of the write that caused the change.
 	 */
-	change(root, value) {
+	change(root, value, key, origin) {
 		var link	= this.observed.get(root),
 			old		= link.value;
 
@@ -174,13 +882,150 @@ export default class Path {
 			throw new Error('Event fired on unbound path');
 		}
 
-		if (old !== value) {
-			for(let callback of link.callbacks) {
-				callback(value, old);
-			}
+		var broken	= Path.broken(link),
+			changed	= !(this.equals || Object.is)(old, value);
+
+		// The value held is only replaced where the comparator considers it
+		// changed, so that the `old` value notified is always one delivered.
+		if (changed) {
 			link.value = value;
 		}
+
+		// Retain the existing break where equivalent, so that subscriptions
+		// can detect a change in the break by identity.
+		if (Path.sameBreak(broken, link.broken)) {
+			broken = link.broken;
+
+			if (!changed) {
+				return;
+			}
+		}
+
+		link.broken	= broken;
+
+		Dispatch.each(link.subscriptions.slice(), (subscription) => {
+			subscription.notify(old, key, origin);
+		});
+	}
+
+
+	/**
+	 * Traverse the `parts` given from the `index` specified, starting from
+	 * `target`, without observing any of the properties along the way.
+	 *
+	 * @param {Object}	target	The object to begin traversing from.
+	 * @param {Array}	parts	The list of property names, or `Symbol`s.
+	 * @param {Number}	index	The index of the first part to traverse.
+	 *
+	 * @return {any}	The resolved value at the end of the `parts`.
+	 */
+	static resolve(target, parts, index) {
+		for(; index < parts.length; index++) {
+			var part = parts[index];
+
+			if (target === undefined || target === null) {
+				return undefined;
+			}
+
+			if (part === ANY) {
+				if (!Path.traversable(target)) {
+					return undefined;
+				}
+
+				var result = {};
+
+				for(let key of Object.keys(target)) {
+					result[key] = Path.resolve(target[key], parts, index + 1);
+				}
+
+				return result;
+			}
+
+			target = Segment.resolve(target, part);
+		}
+
+		return target;
+	}
+
+
+	/**
+	 * Determine whether the `value` given can hold properties along a path.
+	 *
+	 * @param {any} value	The value to test.
+	 *
+	 * @return {boolean}	`true` for objects and functions.
+	 */
+	static traversable(value) {
+		return !!value && (typeof value === 'object'
+			|| typeof value === 'function');
+	}
+
+
+	/**
+	 * Create an empty segment to hold the `key` given, by default.
+	 *
+	 * @param {String} key	The key the segment will hold.
+	 *
+	 * @return {Object}	An `Array` for numeric keys, or an `Object`.
+	 */
+	static container(key) {
+		if (key instanceof Segment) {
+			return key.method === 'get' ? new Map() : new Set();
+		}
+
+		var numeric = typeof key === 'number'
+			|| typeof key === 'string' && INDEX.test(key);
+
+		return numeric ? [] : {};
+	}
+
+
+	/**
+	 * Determine where the chain of `Link`s starting from the `link` given is
+	 * currently broken, if anywhere.
+	 *
+	 * @param {Link} link	The first `Link` of an attached chain.
+	 *
+	 * @return {Object}	The `index` and `reason` of the break, or `null`.
+	 */
+	static broken(link) {
+		for(; link; link = link.next) {
+			if (link.reason) {
+				return { index: link.index, reason: link.reason };
+			}
+		}
+
+		return null;
+	}
+
+
+	/**
+	 * Determine whether the breaks `a` and `b` given are equivalent.
+	 *
+	 * @param {Object} a	A break, or `null`.
+	 * @param {Object} b	A break, or `null`.
+	 *
+	 * @return {boolean}	`true` if both describe the same break.
+	 */
+	static sameBreak(a, b) {
+		if (!a || !b) {
+			return a === b;
+		}
+
+		return a.index === b.index && a.reason === b.reason;
 	}
 
 
 }
+
+
+var ANY = Path.ANY = Wildcard.ANY;
+
+
+/**
+ * Returned by an interceptor to veto a write.  See `Path#intercept`.
+ */
+Path.CANCEL = Intercept.CANCEL;
+
+
+function noop() {}
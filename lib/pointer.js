@@ -0,0 +1,88 @@
+import Segment from './segment';
+
+
+/**
+ * Parser and serialiser for JSON Pointers, as described by RFC 6901, such as
+ * `/user/addresses/0/zip code`, in which `~` and `/` are escaped within each
+ * segment as `~0` and `~1` respectively.
+ *
+ * Pointers carry no type information, so every segment parsed is a string.
+ */
+export default class Pointer {
+
+
+	/**
+	 * Parse the `pointer` given into the list of segments that it describes.
+	 * The empty pointer describes the whole document, as an empty list.
+	 *
+	 * If the `pointer` is malformed, a `SyntaxError` is thrown, with an `index`
+	 * property holding the position of the offending character.
+	 *
+	 * @param {String} pointer	The JSON Pointer to parse.
+	 *
+	 * @return {Array}	The list of property names described.
+	 */
+	static parse(pointer) {
+		pointer = String(pointer);
+
+		if (pointer === '') {
+			return [];
+		}
+
+		if (pointer[0] !== '/') {
+			Pointer.fail(pointer, 0, 'Expected "/"');
+		}
+
+		var match = /~(?![01])/.exec(pointer);
+
+		if (match) {
+			Pointer.fail(pointer, match.index, 'Invalid escape');
+		}
+
+		return pointer.slice(1).split('/').map((part) =>
+			part.replace(/~1/g, '/').replace(/~0/g, '~'));
+	}
+
+
+	/**
+	 * Convert the list of segments given into a JSON Pointer.  Only property
+	 * names and indices can be represented, so a `TypeError` is thrown for
+	 * `Symbol`, `Segment` and wildcard segments.
+	 *
+	 * @param {Array} parts	The list of property names, or indices.
+	 *
+	 * @return {String}	The JSON Pointer representing the `parts` given.
+	 */
+	static stringify(parts) {
+		return parts.map((part) => {
+			if (typeof part === 'symbol' || part instanceof Segment) {
+				throw new TypeError('Cannot represent segment in a JSON Pointer: '
+					+ String(part));
+			}
+
+			return '/' + String(part).replace(/~/g, '~0').replace(/\//g, '~1');
+		}).join('');
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Throw a `SyntaxError` describing a failure to parse the `pointer` given,
+	 * at the `index` specified.
+	 *
+	 * @param {String} pointer	The JSON Pointer being parsed.
+	 * @param {Number} index	The position of the offending character.
+	 * @param {String} message	A description of the failure.
+	 */
+	static fail(pointer, index, message) {
+		var error = new SyntaxError(message + ' at position ' + index
+			+ ' in pointer ' + JSON.stringify(pointer));
+
+		error.index = index;
+		throw error;
+	}
+
+
+}
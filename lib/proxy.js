@@ -0,0 +1,749 @@
+import Batch		from './batch';
+import Dispatch	from './dispatch';
+import Intercept	from './intercept';
+
+
+var proxies		= new WeakMap(),
+	targets		= new WeakMap(),
+	observers	= new WeakMap(),
+	mutators	= new WeakMap();
+
+var MUTATORS = [
+	'copyWithin',
+	'fill',
+	'pop',
+	'push',
+	'reverse',
+	'shift',
+	'sort',
+	'splice',
+	'unshift'
+];
+
+var OPAQUE = [
+	ArrayBuffer,
+	Date,
+	Map,
+	Promise,
+	RegExp,
+	Set,
+	WeakMap,
+	WeakSet
+];
+
+
+/**
+ * A `Proxy` based alternative to the `Observer`, exposing the same interface,
+ * for objects reached through a proxy created by `ProxyObserver.wrap`.
+ *
+ * Rather than instrumenting each observed property, every write, definition
+ * or deletion made through the proxy notifies the `ProxyObserver` of the
+ * property affected.  This allows property additions and deletions to be
+ * observed, along with properties that cannot be redefined, at the cost of
+ * writes made directly to the underlying object going unnoticed.  Objects
+ * read through the proxy are themselves wrapped, so that entire structures
+ * can be observed from a single wrapped root.
+ */
+export default class ProxyObserver {
+
+
+	/**
+	 * Observe a specified `property` on a given `object`, and invoke the
+	 * `callback` passed when any changes occur.
+	 *
+	 * @param {Object}		object		The proxied `object` to observe on.
+	 * @param {String}		property	The `property` name or `Symbol`.
+	 * @param {Function}	callback	The `callback` to invoke on change.
+	 *
+	 * @return {ProxyObserver}	The instance handling this observation.
+	 */
+	static observe(object, property, callback) {
+		var target		= ProxyObserver.unwrap(object),
+			key			= ProxyObserver.key(property),
+			map			= observers.get(target),
+			observer	= map ? map.get(key) : null;
+
+		if (!map) {
+			observers.set(target, map = new Map());
+		}
+
+		if (!observer) {
+			observer = new ProxyObserver(target, key);
+			map.set(key, observer);
+		}
+
+		return observer.add(callback);
+	}
+
+
+	/**
+	 * Stop the `callback` specified from receiving change events from the
+	 * `property` of the `object` given.
+	 *
+	 * @param {Object}		object		The `object` to stop observing.
+	 * @param {String}		property	The `property` name or `Symbol`.
+	 * @param {Function}	callback	The `callback` to remove.
+	 */
+	static unobserve(object, property, callback) {
+		var map			= observers.get(ProxyObserver.unwrap(object)),
+			observer	= map ? map.get(ProxyObserver.key(property)) : null;
+
+		if (!observer) {
+			return;
+		}
+
+		observer.remove(callback);
+	}
+
+
+	/**
+	 * Screen every write to the `property` of the `object` given, made through
+	 * its proxy, with the `interceptor` specified, as `Observer.intercept`.
+	 *
+	 * @param {Object}		object		The proxied `object` to intercept.
+	 * @param {String}		property	The `property` name or `Symbol`.
+	 * @param {Function}	interceptor	The `interceptor` to apply.
+	 *
+	 * @return {ProxyObserver}	The instance handling the property.
+	 */
+	static intercept(object, property, interceptor) {
+		var target		= ProxyObserver.unwrap(object),
+			key			= ProxyObserver.key(property),
+			map			= observers.get(target),
+			observer	= map ? map.get(key) : null;
+
+		if (!map) {
+			observers.set(target, map = new Map());
+		}
+
+		if (!observer) {
+			observer = new ProxyObserver(target, key);
+			map.set(key, observer);
+		}
+
+		return observer.intercept(interceptor);
+	}
+
+
+	/**
+	 * Stop the `interceptor` specified from screening writes to the
+	 * `property` of the `object` given.
+	 *
+	 * @param {Object}		object		The `object` to stop intercepting.
+	 * @param {String}		property	The `property` name or `Symbol`.
+	 * @param {Function}	interceptor	The `interceptor` to remove.
+	 */
+	static unintercept(object, property, interceptor) {
+		var map			= observers.get(ProxyObserver.unwrap(object)),
+			observer	= map ? map.get(ProxyObserver.key(property)) : null;
+
+		if (!observer) {
+			return;
+		}
+
+		observer.unintercept(interceptor);
+	}
+
+
+	/**
+	 * Delete the `property` given from the `object` specified, through its
+	 * proxy, so that any callbacks observing it are notified.
+	 *
+	 * @param {Object}	object		The `object`, or its proxy, to delete from.
+	 * @param {String}	property	The `property` name or `Symbol`.
+	 *
+	 * @return {boolean} `true` if the property no longer exists on `object`.
+	 */
+	static delete(object, property) {
+		return Reflect.deleteProperty(ProxyObserver.wrap(object), property);
+	}
+
+
+	/**
+	 * Obtain an observable proxy for the `object` given.  Repeated calls for
+	 * the same `object` produce the same proxy, and values which cannot be
+	 * proxied, such as primitives, are returned unchanged.
+	 *
+	 * @param {Object} object	The `object` to wrap.
+	 *
+	 * @return {Proxy}	The observable proxy for the `object`.
+	 */
+	static wrap(object) {
+		if (!ProxyObserver.wrappable(object) || targets.has(object)) {
+			return object;
+		}
+
+		var proxy = proxies.get(object);
+
+		if (!proxy) {
+			proxy = new Proxy(object, handler);
+			proxies.set(object, proxy);
+			targets.set(proxy, object);
+		}
+
+		return proxy;
+	}
+
+
+	/**
+	 * Obtain the underlying object for the `value` given, if it is a proxy
+	 * created by `ProxyObserver.wrap`.
+	 *
+	 * @param {any} value	The value to unwrap.
+	 *
+	 * @return {any}	The underlying object, or the `value` unchanged.
+	 */
+	static unwrap(value) {
+		return targets.get(value) || value;
+	}
+
+
+	/**
+	 * Determine whether the `value` given is a proxy created by
+	 * `ProxyObserver.wrap`.
+	 *
+	 * @param {any} value	The value to check.
+	 *
+	 * @return {boolean}	`true` if the `value` is an observable proxy.
+	 */
+	static isProxy(value) {
+		return targets.has(value);
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Construct a new `ProxyObserver` to observe the `property` given on the
+	 * underlying `target` `Object` specified.
+	 *
+	 * This constructor is private, and should only be used internally by the
+	 * `ProxyObserver` class.  This functionality should be accessed via the
+	 * static `observe` and `unobserve` methods instead.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object` to observe.
+	 * @param {String}	property	The `property` name or `Symbol` to observe.
+	 */
+	constructor(target, property) {
+		this.target		= target;
+		this.property	= property;
+		this.callbacks		= [];
+		this.interceptors	= [];
+		this.value			= ProxyObserver.read(target, property);
+	}
+
+
+	/**
+	 * Register the `callback` supplied with this `ProxyObserver`, to be
+	 * notified of changes in the property being observed.
+	 *
+	 * @param {Function} callback	The `callback` to register.
+	 *
+	 * @return {ProxyObserver} this
+	 */
+	add(callback) {
+		this.callbacks.push(callback);
+		return this;
+	}
+
+
+	/**
+	 * Remove the `callback` specified from this `ProxyObserver`, so that it
+	 * will no longer be notified of any changes to the observed property.
+	 *
+	 * @param {Function} callback	The `callback` to remove.
+	 *
+	 * @return {boolean} `true` if the callback was found and removed.
+	 */
+	remove(callback) {
+		var index = this.callbacks.indexOf(callback);
+		if (index === -1) {
+			return false;
+		}
+
+		this.callbacks.splice(index, 1);
+
+		if (this.callbacks.length === 0 && this.interceptors.length === 0) {
+			this.dispose();
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Register the `interceptor` supplied with this `ProxyObserver`, to screen
+	 * writes to the property being observed.
+	 *
+	 * @param {Function} interceptor	The `interceptor` to register.
+	 *
+	 * @return {ProxyObserver} this
+	 */
+	intercept(interceptor) {
+		this.interceptors.push(interceptor);
+		return this;
+	}
+
+
+	/**
+	 * Remove the `interceptor` specified from this `ProxyObserver`.
+	 *
+	 * @param {Function} interceptor	The `interceptor` to remove.
+	 *
+	 * @return {boolean} `true` if the interceptor was found and removed.
+	 */
+	unintercept(interceptor) {
+		var index = this.interceptors.indexOf(interceptor);
+		if (index === -1) {
+			return false;
+		}
+
+		this.interceptors.splice(index, 1);
+
+		if (this.callbacks.length === 0 && this.interceptors.length === 0) {
+			this.dispose();
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Dispose of this `ProxyObserver`, ensuring no further change events will
+	 * be received.
+	 *
+	 * @return {boolean} `true`, always.
+	 */
+	dispose() {
+		var map = observers.get(this.target);
+
+		if (map && map.get(this.property) === this) {
+			map.delete(this.property);
+
+			if (map.size === 0) {
+				observers.delete(this.target);
+			}
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Set the value of the property.
+	 *
+	 * @param {any} 	value	The `value` to set this property to.
+	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 *
+	 * @return {boolean}	`false` if the write was vetoed by an interceptor.
+	 */
+	set(value, silent) {
+		var target		= this.target,
+			property	= this.property,
+			existed		= ProxyObserver.has(target, property);
+
+		value = ProxyObserver.screen(target, property, value);
+
+		if (value === Intercept.CANCEL) {
+			return false;
+		}
+
+		if (Object.is(this.value, ProxyObserver.wrap(value))) {
+			return true;
+		}
+
+		ProxyObserver.journal(target, property);
+
+		ProxyObserver.write(target, property, value);
+		ProxyObserver.notify(target, property, existed, silent);
+		return true;
+	}
+
+
+	/**
+	 * Invoke the function `fn` once any change in progress is applied, which
+	 * is always immediately, as changes are not queued.
+	 *
+	 * @param {Function} fn	The function to invoke.
+	 */
+	settled(fn) {
+		fn();
+	}
+
+
+	/**
+	 * Update the value held for the property, notifying callbacks of the
+	 * change.  This method is internal, and is invoked once the underlying
+	 * object has been changed through its proxy.
+	 *
+	 * @param {any} 	value	The new `value` of the property.
+	 * @param {boolean}	silent	If `true`, callbacks will not be invoked.
+	 */
+	update(value, silent) {
+		var target = this.target;
+
+		if (Object.is(this.value, value)) {
+			return;
+		}
+
+		// Notifications are held until the value held is up to date.
+		Batch.hold(() => {
+			var errors = silent ? [] : Dispatch.collect(this.callbacks,
+				(callback) => { callback(target, value); });
+
+			this.value = value;
+
+			Dispatch.raise(errors);
+		});
+	}
+
+
+	/**
+	 * Get the value of the property observed, wrapped in an observable proxy
+	 * where possible.
+	 *
+	 * @return {any} The current value of the property observed.
+	 */
+	get() {
+		return this.value;
+	}
+
+
+	/**
+	 * Pass the `value` being written to the `property` of the underlying
+	 * `target` given through the interceptors of its `ProxyObserver`, if any.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object` written.
+	 * @param {String}	property	The `property` name or `Symbol` written.
+	 * @param {any}		value		The value being written.
+	 *
+	 * @return {any}	The value to write, or `Intercept.CANCEL`.
+	 */
+	static screen(target, property, value) {
+		var map			= observers.get(target),
+			observer	= map ? map.get(ProxyObserver.key(property)) : null;
+
+		if (!observer || observer.interceptors.length === 0) {
+			return value;
+		}
+
+		return Intercept.apply(observer.interceptors, value, observer.value,
+			ProxyObserver.wrap(target), property);
+	}
+
+
+	/**
+	 * Notify the `ProxyObserver` for the `property` of the underlying `target`
+	 * given, if any, that the property may have changed, along with any
+	 * wildcards observing the keys of the `target`, if the property was added
+	 * or removed.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object` changed.
+	 * @param {String}	property	The `property` name or `Symbol` changed.
+	 * @param {boolean}	existed		Whether the `property` existed beforehand.
+	 * @param {boolean}	silent		If `true`, callbacks will not be invoked.
+	 */
+	static notify(target, property, existed, silent) {
+		var map = observers.get(target);
+
+		if (!map) {
+			return;
+		}
+
+		// Keys are notified first, so that wildcards have already followed (or
+		// abandoned) the property by the time its own observer is notified.
+		var keys		= map.get(KEYS),
+			observer	= map.get(ProxyObserver.key(property)),
+			updates		= [];
+
+		if (keys && existed !== ProxyObserver.has(target, property)) {
+			updates.push(() => { keys.update(keys.value + 1, silent); });
+		}
+
+		if (observer) {
+			updates.push(() => {
+				observer.update(ProxyObserver.read(target, property), silent);
+			});
+		}
+
+		Batch.hold(() => {
+			Dispatch.each(updates, (update) => { update(); });
+		});
+	}
+
+
+	/**
+	 * Obtain the function applying the array mutation method `name` to the
+	 * underlying `target` array, through `ProxyObserver.mutate`.  The same
+	 * function is returned for each read of the method from the same array.
+	 *
+	 * @param {Array}	target	The underlying `target` array.
+	 * @param {String}	name	The name of the mutation method.
+	 *
+	 * @return {Function}	The mutation method.
+	 */
+	static mutator(target, name) {
+		var methods = mutators.get(target);
+
+		if (!methods) {
+			mutators.set(target, methods = Object.create(null));
+		}
+
+		return methods[name] || (methods[name] = function(...args) {
+			return ProxyObserver.mutate(target, name, args);
+		});
+	}
+
+
+	/**
+	 * Apply the array mutation method `name` to the underlying `target` array
+	 * directly, and notify every `ProxyObserver` on it whose value changed,
+	 * once the mutation is complete.
+	 *
+	 * @param {Array}	target	The underlying `target` array.
+	 * @param {String}	name	The name of the mutation method to apply.
+	 * @param {Array}	args	The arguments to pass to the method.
+	 *
+	 * @return {any}	The result of the mutation method.
+	 */
+	static mutate(target, name, args) {
+		var length = target.length;
+
+		if (Batch.recording) {
+			let contents = target.slice();
+			Batch.record(() => {
+				ProxyObserver.wrap(target).splice(0, target.length, ...contents);
+			});
+		}
+
+		var result = Array.prototype[name].apply(target,
+			args.map(ProxyObserver.unwrap));
+
+		var map		= observers.get(target),
+			keys	= map ? map.get(KEYS) : null;
+
+		var updates = [];
+
+		if (keys && length !== target.length) {
+			updates.push(() => { keys.update(keys.value + 1); });
+		}
+
+		if (map) {
+			for(let observer of map.values()) {
+				if (observer !== keys) {
+					updates.push(() => {
+						observer.update(ProxyObserver.read(target, observer.property));
+					});
+				}
+			}
+		}
+
+		Batch.hold(() => {
+			Dispatch.each(updates, (update) => { update(); });
+		});
+
+		return ProxyObserver.wrap(result);
+	}
+
+
+	/**
+	 * Record the current state of the `property` of the underlying `target`
+	 * given, if a batch is active, so that a subsequent change made through
+	 * the proxy can be rolled back.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object`.
+	 * @param {String}	property	The `property` name or `Symbol` to record.
+	 */
+	static journal(target, property) {
+		if (!Batch.recording) {
+			return;
+		}
+
+		var proxy		= ProxyObserver.wrap(target),
+			definition	= Reflect.getOwnPropertyDescriptor(target, property);
+
+		Batch.record(() => {
+			if (definition) {
+				Reflect.defineProperty(proxy, property, definition);
+			}else{
+				Reflect.deleteProperty(proxy, property);
+			}
+		});
+	}
+
+
+	/**
+	 * Write the `value` given to the `property` of the underlying `target`.
+	 * Accessors, including those inherited, are invoked on the proxy, so that
+	 * the writes they make in turn are observed.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object`.
+	 * @param {String}	property	The `property` name or `Symbol` to write.
+	 * @param {any}		value		The value to write.
+	 *
+	 * @return {boolean}	`true` if the value was written.
+	 */
+	static write(target, property, value) {
+		var receiver = target;
+
+		for(var object = target; object; object = Object.getPrototypeOf(object)) {
+			var definition = Reflect.getOwnPropertyDescriptor(object, property);
+
+			if (definition) {
+				if (!definition.hasOwnProperty('value')) {
+					receiver = ProxyObserver.wrap(target);
+				}
+				break;
+			}
+		}
+
+		return Reflect.set(target, property, ProxyObserver.unwrap(value),
+			receiver);
+	}
+
+
+	/**
+	 * Read the `property` given from the underlying `target`, wrapping the
+	 * result in an observable proxy, where possible.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object`.
+	 * @param {String}	property	The `property` name or `Symbol` to read.
+	 *
+	 * @return {any}	The value of the `property`.
+	 */
+	static read(target, property) {
+		if (property === KEYS) {
+			return 0;
+		}
+
+		return ProxyObserver.wrap(target[property]);
+	}
+
+
+	/**
+	 * Determine whether the underlying `target` given has its own `property`.
+	 *
+	 * @param {Object}	target		The underlying `target` `Object`.
+	 * @param {String}	property	The `property` name or `Symbol` to check.
+	 *
+	 * @return {boolean}	`true` if the `property` is defined on the `target`.
+	 */
+	static has(target, property) {
+		return Object.prototype.hasOwnProperty.call(target, property);
+	}
+
+
+	/**
+	 * Normalise a `property` name, so that numeric indices and their string
+	 * equivalents share the same `ProxyObserver`.
+	 *
+	 * @param {String|Number|Symbol} property	The `property` to normalise.
+	 *
+	 * @return {String|Symbol}	The normalised property key.
+	 */
+	static key(property) {
+		return typeof property === 'symbol' ? property : String(property);
+	}
+
+
+	/**
+	 * Determine whether the `value` given can be wrapped in a proxy.  Objects
+	 * relying on internal slots, such as `Map`s and `Date`s, cannot function
+	 * through a proxy, so are left unwrapped.
+	 *
+	 * @param {any} value	The value to check.
+	 *
+	 * @return {boolean}	`true` if the `value` can be wrapped.
+	 */
+	static wrappable(value) {
+		if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+			return false;
+		}
+
+		for(let type of OPAQUE) {
+			if (value instanceof type) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+
+}
+
+
+/**
+ * The pseudo property observed by wildcards, whose value is incremented
+ * whenever a key is added to, or removed from, an object through its proxy.
+ */
+var KEYS = ProxyObserver.KEYS = Symbol('keys');
+
+
+var handler = {
+
+	get(target, property, receiver) {
+		if (Array.isArray(target) && MUTATORS.indexOf(property) !== -1) {
+			return ProxyObserver.mutator(target, property);
+		}
+
+		var value = Reflect.get(target, property, receiver);
+
+		if (!ProxyObserver.wrappable(value)) {
+			return value;
+		}
+
+		// Non-configurable, read-only properties must be reported exactly.
+		var definition = Reflect.getOwnPropertyDescriptor(target, property);
+		if (definition && !definition.configurable && !definition.writable) {
+			return value;
+		}
+
+		return ProxyObserver.wrap(value);
+	},
+
+	set(target, property, value, receiver) {
+
+		// An object inheriting from the proxy is written to, not the target.
+		if (receiver !== proxies.get(target)) {
+			return Reflect.set(target, property, value, receiver);
+		}
+
+		value = ProxyObserver.screen(target, property, value);
+
+		// A vetoed write succeeds, as far as the writer is concerned.
+		if (value === Intercept.CANCEL) {
+			return true;
+		}
+
+		ProxyObserver.journal(target, property);
+
+		var existed	= ProxyObserver.has(target, property),
+			result	= ProxyObserver.write(target, property, value);
+
+		ProxyObserver.notify(target, property, existed);
+		return result;
+	},
+
+	defineProperty(target, property, definition) {
+		ProxyObserver.journal(target, property);
+
+		var existed	= ProxyObserver.has(target, property),
+			result	= Reflect.defineProperty(target, property, definition);
+
+		ProxyObserver.notify(target, property, existed);
+		return result;
+	},
+
+	deleteProperty(target, property) {
+		ProxyObserver.journal(target, property);
+
+		var existed	= ProxyObserver.has(target, property),
+			result	= Reflect.deleteProperty(target, property);
+
+		ProxyObserver.notify(target, property, existed);
+		return result;
+	}
+
+};
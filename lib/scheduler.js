@@ -0,0 +1,161 @@
+
+var CLOCK = {
+	now:			()			=> Date.now(),
+	setTimeout:		(fn, wait)	=> setTimeout(fn, wait),
+	clearTimeout:	(timer)		=> clearTimeout(timer)
+};
+
+
+/**
+ * Notification schedulers, determining when the callbacks of a `Path` are
+ * invoked, relative to the changes that they report.
+ *
+ * A scheduler is a function accepting a `flush` function, which delivers any
+ * outstanding notification for a single subscription, and returning a
+ * `trigger` function, which is invoked whenever a change occurs.  Deferred
+ * schedulers may invoke `flush` once for many triggers, as each delivery
+ * reports the net change since the last, so that callbacks receive one
+ * notification per net change, with the correct old value.
+ */
+export default class Scheduler {
+
+
+	/**
+	 * Synchronous scheduler, delivering notifications as soon as a change
+	 * occurs.  This is the default.
+	 *
+	 * @param {Function} flush	Delivers any outstanding notification.
+	 *
+	 * @return {Function}	The trigger, invoked on change.
+	 */
+	static sync(flush) {
+		return flush;
+	}
+
+
+	/**
+	 * Microtask scheduler, delivering notifications once the current task
+	 * completes, coalescing every change made within it.
+	 *
+	 * @param {Function} flush	Delivers any outstanding notification.
+	 *
+	 * @return {Function}	The trigger, invoked on change.
+	 */
+	static microtask(flush) {
+		return Scheduler.queue((task) => { Promise.resolve().then(task); }, flush);
+	}
+
+
+	/**
+	 * Create a frame scheduler, delivering notifications via the `request`
+	 * function supplied, such as `requestAnimationFrame`, coalescing every
+	 * change made before it invokes its callback.
+	 *
+	 * @param {Function} request	Invokes the callback passed at a later time.
+	 *
+	 * @return {Function}	The scheduler.
+	 */
+	static frame(request) {
+		return (flush) => Scheduler.queue(request, flush);
+	}
+
+
+	/**
+	 * Create a debouncing scheduler, delivering notifications once no further
+	 * changes have occurred for `wait` milliseconds.
+	 *
+	 * @param {Number} wait		The quiet period, in milliseconds.
+	 * @param {Object} clock	The clock to use, providing `now`, `setTimeout`
+	 *							and `clearTimeout`, defaulting to the globals.
+	 *
+	 * @return {Function}	The scheduler.
+	 */
+	static debounce(wait, clock = CLOCK) {
+		return (flush) => {
+			var timer = null;
+
+			return () => {
+				if (timer !== null) {
+					clock.clearTimeout(timer);
+				}
+
+				timer = clock.setTimeout(() => {
+					timer = null;
+					flush();
+				}, wait);
+			};
+		};
+	}
+
+
+	/**
+	 * Create a throttling scheduler, delivering notifications at most once
+	 * every `wait` milliseconds.  The first change is delivered immediately,
+	 * and any changes within the following `wait` milliseconds are delivered
+	 * once it has elapsed.
+	 *
+	 * @param {Number} wait		The minimum interval, in milliseconds.
+	 * @param {Object} clock	The clock to use, providing `now`, `setTimeout`
+	 *							and `clearTimeout`, defaulting to the globals.
+	 *
+	 * @return {Function}	The scheduler.
+	 */
+	static throttle(wait, clock = CLOCK) {
+		return (flush) => {
+			var last	= -Infinity,
+				timer	= null;
+
+			return () => {
+				if (timer !== null) {
+					return;
+				}
+
+				var remaining = last + wait - clock.now();
+
+				if (remaining <= 0) {
+					last = clock.now();
+					flush();
+					return;
+				}
+
+				timer = clock.setTimeout(() => {
+					timer	= null;
+					last	= clock.now();
+					flush();
+				}, remaining);
+			};
+		};
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Create a trigger which requests a single invocation of `flush` via the
+	 * `request` function given, until that invocation occurs.
+	 *
+	 * @param {Function} request	Invokes the callback passed at a later time.
+	 * @param {Function} flush		Delivers any outstanding notification.
+	 *
+	 * @return {Function}	The trigger, invoked on change.
+	 */
+	static queue(request, flush) {
+		var queued = false;
+
+		return () => {
+			if (queued) {
+				return;
+			}
+
+			queued = true;
+
+			request(() => {
+				queued = false;
+				flush();
+			});
+		};
+	}
+
+
+}
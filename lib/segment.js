@@ -0,0 +1,185 @@
+
+var KEYED	= [ Map, WeakMap ],
+	MEMBERS	= [ Map, Set, WeakMap, WeakSet ];
+
+
+/**
+ * A `Segment` is a path segment which steps into a collection through its
+ * methods, rather than reading a property.  `Segment.key(key)` resolves
+ * through `get` on a `Map`, and `Segment.has(value)` resolves to the result of
+ * `has` on a `Set`, or the keys of a `Map`.
+ */
+export default class Segment {
+
+
+	/**
+	 * Create a segment resolving the entry of a `Map` for the `key` given.
+	 *
+	 * @param {any} key	The key to look up.
+	 *
+	 * @return {Segment}	The new segment.
+	 */
+	static key(key) {
+		return new Segment('get', key);
+	}
+
+
+	/**
+	 * Create a segment resolving to whether a `Set` holds the `value` given,
+	 * or a `Map` holds it as a key.
+	 *
+	 * @param {any} value	The value to test for.
+	 *
+	 * @return {Segment}	The new segment.
+	 */
+	static has(value) {
+		return new Segment('has', value);
+	}
+
+
+	/**
+	 * Read the `part` given of the `target` specified, whether a property
+	 * name, or a `Segment`.
+	 *
+	 * @param {any} target	The value to read from.
+	 * @param {any} part	The property name, `Symbol` or `Segment` to read.
+	 *
+	 * @return {any}	The value read.
+	 */
+	static resolve(target, part) {
+		return part instanceof Segment ? part.read(target) : target[part];
+	}
+
+
+	/**
+	 * Write the `value` given to the `part` of the `target` specified, whether
+	 * a property name, or a `Segment`, which is written through the methods of
+	 * the collection.
+	 *
+	 * @param {Object}	target	The object, or collection, to write to.
+	 * @param {any}		part	The property name, `Symbol` or `Segment`.
+	 * @param {any}		value	The value to write.
+	 *
+	 * @return {boolean}	`true` if the value was written.
+	 */
+	static assign(target, part, value) {
+		if (!(part instanceof Segment)) {
+			return Reflect.set(target, part, value);
+		}
+
+		var write = part.write(target, value);
+
+		if (!write) {
+			return false;
+		}
+
+		target[write[0]](...write[1]);
+		return true;
+	}
+
+
+	/**
+	 * Remove the entry of the `target` collection given for the `segment`
+	 * specified.
+	 *
+	 * @param {Object}	target	The collection to remove from.
+	 * @param {Segment}	segment	The `Segment` to remove.
+	 *
+	 * @return {boolean}	`true` if the entry no longer exists.
+	 */
+	static remove(target, segment) {
+		if (!segment.accepts(target)) {
+			return false;
+		}
+
+		target.delete(segment.key);
+		return true;
+	}
+
+
+	/**
+	 * Construct a new `Segment`, applying the collection `method` given, with
+	 * the `key` specified.
+	 *
+	 * @param {String}	method	Either `'get'` or `'has'`.
+	 * @param {any}		key		The key, or value, passed to the `method`.
+	 */
+	constructor(method, key) {
+		this.method	= method;
+		this.key	= key;
+	}
+
+
+	/**
+	 * Determine whether the `target` given is a collection this segment can
+	 * step into.
+	 *
+	 * @param {any} target	The value to test.
+	 *
+	 * @return {boolean}	`true` if the `target` is a suitable collection.
+	 */
+	accepts(target) {
+		var types = this.method === 'get' ? KEYED : MEMBERS;
+		return types.some((type) => target instanceof type);
+	}
+
+
+	/**
+	 * Read the value of this segment from the `target` given.
+	 *
+	 * @param {any} target	The collection to read from.
+	 *
+	 * @return {any}	The value of this segment, or `undefined` if the
+	 *					`target` is not a suitable collection.
+	 */
+	read(target) {
+		if (!this.accepts(target)) {
+			return undefined;
+		}
+
+		return target[this.method](this.key);
+	}
+
+
+	/**
+	 * Determine the collection method, and arguments, which write the `value`
+	 * given to this segment of the `target` specified.
+	 *
+	 * @param {any} target	The collection to write to.
+	 * @param {any} value	The value to write.
+	 *
+	 * @return {Array}	The method name and arguments, or `null` if this
+	 *					segment cannot be written.
+	 */
+	write(target, value) {
+		if (!this.accepts(target)) {
+			return null;
+		}
+
+		if (this.method === 'get') {
+			return [ 'set', [ this.key, value ] ];
+		}
+
+		if (target instanceof Map || target instanceof WeakMap) {
+			return null;
+		}
+
+		return [ value ? 'add' : 'delete', [ this.key ] ];
+	}
+
+
+	/**
+	 * Describe this segment in the string path syntax.  Segments cannot be
+	 * parsed from strings, so this is for display purposes only.
+	 *
+	 * @return {String}	The description of this segment.
+	 */
+	toString() {
+		var key = this.key;
+
+		return this.method + '(' + (typeof key === 'string'
+			? JSON.stringify(key) : String(key)) + ')';
+	}
+
+
+}
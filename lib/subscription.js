@@ -0,0 +1,279 @@
+import Scheduler	from './scheduler';
+import Batch		from './batch';
+
+
+/**
+ * A `Subscription` represents a single callback registered to observe a
+ * source of values, such as a `Path` from a given root, tracking the net
+ * change since its last notification, so that delivery can be deferred by a
+ * scheduler, held by a batch, or paused.
+ *
+ * Subscriptions are returned by `observe`, as a handle to the callback
+ * registered, which can be removed with `unsubscribe()`.
+ */
+export default class Subscription {
+
+
+	/**
+	 * Construct a new `Subscription`, delivering changes in the `value` of
+	 * the `source` given to the `callback` specified, with the following
+	 * `options`:
+	 *
+	 * - `scheduler`: The scheduler determining when the `callback` is
+	 *   notified, `Scheduler.sync` by default.
+	 * - `onBreak`: Notified of changes in the `broken` state of the `source`,
+	 *   if it has one.
+	 * - `record`: If `true`, the `callback` receives a change record, rather
+	 *   than the new and old values.  The `source` must be a `Link`.
+	 * - `release`: Removes this `Subscription` from its source, when invoked
+	 *   with it, on `unsubscribe()`.
+	 * - `once`: If `true`, unsubscribe once the `callback` has been notified
+	 *   of a change.
+	 * - `filter`: A predicate, receiving the new and old values, which must
+	 *   return `true` for the `callback` to be notified of a change.  The old
+	 *   value is always the last value the `callback` was notified of.
+	 * - `equals`: The comparator determining whether the value has changed,
+	 *   `Object.is` by default.
+	 *
+	 * @param {Object}		source		The source, holding the current `value`.
+	 * @param {Function}	callback	The `callback` to notify of changes.
+	 * @param {Object}		options		Options for this `Subscription`.
+	 */
+	constructor(source, callback, options = {}) {
+		var scheduler = options.scheduler || Scheduler.sync;
+
+		this.source		= source;
+		this.callback	= callback;
+		this.onBreak	= options.onBreak;
+		this.record		= !!options.record;
+		this.release	= options.release;
+		this.once		= !!options.once;
+		this.filter		= options.filter;
+		this.equals		= options.equals || Object.is;
+		this.dirty		= false;
+		this.split		= null;
+		this.rejected	= null;
+		this.paused		= false;
+		this.active		= true;
+		this.trigger	= scheduler(this.flush.bind(this));
+	}
+
+
+	/**
+	 * The current value of the source observed.
+	 *
+	 * @return {any}	The current value.
+	 */
+	get value() {
+		return this.source.value;
+	}
+
+
+	/**
+	 * Stop observing, so that the callback is no longer notified.  Further
+	 * calls have no effect.
+	 */
+	unsubscribe() {
+		if (!this.active) {
+			return;
+		}
+
+		this.active = false;
+
+		if (this.release) {
+			this.release(this);
+		}
+
+		this.cancel();
+	}
+
+
+	/**
+	 * Hold notifications until `resume()` is invoked.  Further calls have no
+	 * effect.
+	 */
+	pause() {
+		this.paused = true;
+	}
+
+
+	/**
+	 * Resume notifications held by `pause()`, notifying the callback once, if
+	 * the value changed while paused.  Further calls have no effect.
+	 */
+	resume() {
+		if (!this.paused) {
+			return;
+		}
+
+		this.paused = false;
+
+		if (this.dirty) {
+			this.trigger();
+		}
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Record a change in the value, or break, of the source, which must
+	 * already hold its new state, and arrange for the callback to be notified.
+	 *
+	 * @param {any}		old		The value of the source before the change.
+	 * @param {String}	key		The wildcard key that changed, if any.
+	 * @param {Object}	origin	The `target`, `property` and segment `index`
+	 *							of the write that caused the change.
+	 */
+	notify(old, key, origin) {
+		if (!this.dirty) {
+			this.dirty	= true;
+			this.old	= this.rejected ? this.rejected.old : old;
+			this.key	= key;
+		}else if (!this.split && Batch.awaiting(this)) {
+
+			// A change made while the current round of notifications is
+			// delivered is delivered in the next round, separately.
+			this.split	= { value: old, key: this.key, origin: this.origin };
+			this.key	= key;
+
+		}else if (this.key !== key) {
+			this.key	= undefined;
+		}
+
+		this.origin = origin;
+
+		Batch.defer(this);
+	}
+
+
+	/**
+	 * Deliver the net change since the last notification, if any, to the
+	 * callback, preceded by any change in the break of the source, to the
+	 * `onBreak` callback.
+	 */
+	flush() {
+		if (!this.dirty || this.paused) {
+			return;
+		}
+
+		var source	= this.source,
+			split	= this.split,
+			old		= this.old,
+			broken	= this.broken,
+			change	= split || {
+				value:	source.value,
+				key:	this.key,
+				origin:	this.origin
+			};
+
+		var { value, key, origin } = change;
+
+		// Only the change up to the split is delivered, leaving the remainder
+		// to be delivered from there, in the next round.
+		if (split) {
+			this.split	= null;
+			this.old	= value;
+		}else{
+			this.cancel();
+		}
+
+		if (broken !== source.broken) {
+			this.broken = source.broken;
+
+			if (this.onBreak) {
+				this.onBreak(source.broken, broken);
+			}
+		}
+
+		if (this.equals(old, value)) {
+
+			// No change since the last delivery, so nothing was rejected.
+			this.rejected = null;
+
+		}else if (this.filter && !this.filter(value, old)) {
+
+			// The value last delivered remains the `old` value of the next
+			// change, as the callback never saw this one.
+			this.rejected = { old: old };
+
+			if (split) {
+				this.old = old;
+			}
+
+		}else{
+			this.rejected = null;
+
+			// Unsubscribe first, so that changes made by the callback itself
+			// are not delivered.
+			if (this.once) {
+				this.unsubscribe();
+			}
+
+			this.deliver(value, old, key, origin);
+		}
+
+		// Deferred schedulers may flush after the next round was triggered.
+		if (split && this.dirty && !Batch.queued(this)) {
+			this.trigger();
+		}
+	}
+
+
+	/**
+	 * Notify the callback of the current value of the source immediately, as
+	 * a change from `undefined`, if it passes the `filter`, if any.  This
+	 * does not count as a change for the purposes of `once`.
+	 */
+	immediate() {
+		var value = this.source.value;
+
+		if (!this.filter || this.filter(value, undefined)) {
+			this.deliver(value, undefined);
+		}
+	}
+
+
+	/**
+	 * Invoke the callback with the `value` given, and the `old` value, `key`
+	 * and `origin` specified.
+	 *
+	 * @param {any}		value	The new value of the source.
+	 * @param {any}		old		The previous value of the source.
+	 * @param {String}	key		The wildcard key that changed, if any.
+	 * @param {Object}	origin	The write that caused the change, if any.
+	 */
+	deliver(value, old, key, origin = {}) {
+		var source = this.source;
+
+		if (this.record) {
+			this.callback({
+				root:		source.root,
+				path:		source.path,
+				target:		origin.target,
+				property:	origin.property,
+				index:		origin.index,
+				value:		value,
+				old:		old,
+				key:		key
+			});
+		}else{
+			this.callback(value, old, key);
+		}
+	}
+
+
+	/**
+	 * Cancel this `Subscription`, discarding any outstanding notification.
+	 */
+	cancel() {
+		this.dirty = false;
+		this.old = undefined;
+		this.key = undefined;
+		this.origin = undefined;
+		this.split = null;
+	}
+
+
+}
@@ -0,0 +1,356 @@
+import Wildcard	from './wildcard';
+import Segment	from './segment';
+
+
+var BARE		= /^[A-Za-z_$][\w$]*$/,
+	INDEX		= /^(0|[1-9][0-9]*)$/,
+	DIGIT		= /[0-9]/,
+	HEX			= /^[0-9A-Fa-f]+$/,
+	WHITESPACE	= /\s/,
+	RESERVED	= /[\s.\[\]'"\\]/;
+
+var ESCAPES = {
+	b:	'\b',
+	f:	'\f',
+	n:	'\n',
+	r:	'\r',
+	t:	'\t',
+	v:	'\v',
+	0:	'\0'
+};
+
+
+/**
+ * Parser and serialiser for the string path syntax, which describes a `Path`
+ * in the familiar JavaScript accessor style, like so:
+ *
+ * ```js
+ * user.addresses[0]["zip code"]
+ * ```
+ *
+ * Dotted segments may contain any character other than whitespace, dots,
+ * brackets and quotes, any of which can be included by escaping them with a
+ * backslash.  A dotted segment consisting of a single unescaped `*` represents
+ * the wildcard `Path.ANY`.  Bracketed segments hold either an unsigned
+ * integer, producing a numeric segment, or a single or double quoted string,
+ * which supports the usual JavaScript escape sequences.
+ */
+export default class Syntax {
+
+
+	/**
+	 * Parse the `string` given into the list of segments that it describes.
+	 *
+	 * If the `string` is not valid path syntax, a `SyntaxError` is thrown,
+	 * with an `index` property holding the position of the offending character.
+	 *
+	 * @param {String} string	The path `string` to parse.
+	 *
+	 * @return {Array}	The list of property names and indices described.
+	 */
+	static parse(string) {
+		var syntax = new Syntax(String(string));
+		return syntax.path();
+	}
+
+
+	/**
+	 * Convert the list of segments given into path syntax, such that parsing
+	 * the result produces the same segments again.
+	 *
+	 * `Symbol` and `Segment` segments have no representation in the syntax,
+	 * and are rendered for display only, as `[Symbol(description)]`, and as
+	 * `get(key)` or `has(value)` respectively.
+	 *
+	 * @param {Array} parts	The list of property names, indices, `Symbol`s or
+	 *						`Segment`s.
+	 *
+	 * @return {String}	The path syntax representing the `parts` given.
+	 */
+	static stringify(parts) {
+		var result = '';
+
+		for(let part of parts) {
+
+			if (part === Wildcard.ANY) {
+				result += (result ? '.' : '') + '*';
+			}else if (part instanceof Segment) {
+				result += (result ? '.' : '') + part;
+			}else if (typeof part === 'symbol') {
+				result += '[' + String(part) + ']';
+			}else if (typeof part === 'number' && INDEX.test(String(part))) {
+				result += '[' + part + ']';
+			}else if (BARE.test(part)) {
+				result += (result ? '.' : '') + part;
+			}else{
+				result += '[' + JSON.stringify(String(part)) + ']';
+			}
+
+		}
+
+		return result;
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Construct a new `Syntax` parser, positioned at the start of `string`.
+	 *
+	 * This constructor is private, parsing should be performed via the static
+	 * `parse` method instead.
+	 *
+	 * @param {String} string	The path `string` to parse.
+	 */
+	constructor(string) {
+		this.string	= string;
+		this.index	= 0;
+	}
+
+
+	/**
+	 * Parse the entire path, ensuring that every character is consumed.
+	 *
+	 * @return {Array}	The list of segments parsed.
+	 */
+	path() {
+		var parts = [ this.peek() === '[' ? this.bracket() : this.bare() ];
+
+		while(this.index < this.string.length) {
+			var char = this.peek();
+
+			if (char === '.') {
+				this.index++;
+				parts.push(this.bare());
+			}else if (char === '[') {
+				parts.push(this.bracket());
+			}else{
+				this.fail();
+			}
+		}
+
+		return parts;
+	}
+
+
+	/**
+	 * Parse a dotted segment, resolving any backslash escaped characters.
+	 *
+	 * @return {String|Symbol}	The property name parsed, or `Wildcard.ANY`.
+	 */
+	bare() {
+		var string	= this.string,
+			start	= this.index,
+			result	= '';
+
+		while(this.index < string.length) {
+			var char = string[this.index];
+
+			if (char === '\\') {
+				if (++this.index >= string.length) {
+					this.fail();
+				}
+				char = string[this.index];
+			}else if (RESERVED.test(char)) {
+				break;
+			}
+
+			result += char;
+			this.index++;
+		}
+
+		if (this.index === start) {
+			this.fail();
+		}
+
+		if (string.substring(start, this.index) === '*') {
+			return Wildcard.ANY;
+		}
+
+		return result;
+	}
+
+
+	/**
+	 * Parse a bracketed segment, containing an index or a quoted string.
+	 *
+	 * @return {String|Number}	The property name or index parsed.
+	 */
+	bracket() {
+		var result;
+
+		this.expect('[');
+		this.skip();
+
+		var char = this.peek();
+
+		if (char === '"' || char === '\'') {
+			result = this.quoted();
+		}else if (char !== undefined && DIGIT.test(char)) {
+			result = this.integer();
+		}else{
+			this.fail();
+		}
+
+		this.skip();
+		this.expect(']');
+
+		return result;
+	}
+
+
+	/**
+	 * Parse an unsigned integer index, without leading zeros.
+	 *
+	 * @return {Number}	The index parsed.
+	 */
+	integer() {
+		var string	= this.string,
+			start	= this.index;
+
+		while(this.index < string.length && DIGIT.test(string[this.index])) {
+			this.index++;
+		}
+
+		var digits = string.substring(start, this.index);
+
+		if (!INDEX.test(digits)) {
+			this.fail(start);
+		}
+
+		return Number(digits);
+	}
+
+
+	/**
+	 * Parse a single or double quoted string, resolving escape sequences.
+	 *
+	 * @return {String}	The unescaped content of the string.
+	 */
+	quoted() {
+		var string	= this.string,
+			start	= this.index,
+			quote	= string[this.index++],
+			result	= '';
+
+		while(this.index < string.length) {
+			var char = string[this.index++];
+
+			if (char === quote) {
+				return result;
+			}
+
+			result += char === '\\' ? this.escape() : char;
+		}
+
+		this.fail(start, 'Unterminated string');
+	}
+
+
+	/**
+	 * Parse the remainder of an escape sequence, following a backslash.
+	 *
+	 * @return {String}	The character represented by the escape sequence.
+	 */
+	escape() {
+		var string	= this.string,
+			start	= this.index - 1,
+			char	= string[this.index++],
+			digits, valid;
+
+		if (char === undefined) {
+			this.fail(start, 'Unterminated string');
+		}
+
+		if (ESCAPES.hasOwnProperty(char)) {
+			return ESCAPES[char];
+		}
+
+		if (char === 'x') {
+			digits = string.substr(this.index, 2);
+			this.index += 2;
+			valid = digits.length === 2;
+		}else if (char === 'u' && string[this.index] === '{') {
+			var end = string.indexOf('}', this.index);
+			digits = end === -1 ? '' : string.substring(this.index + 1, end);
+			this.index = end + 1;
+			valid = end !== -1;
+		}else if (char === 'u') {
+			digits = string.substr(this.index, 4);
+			this.index += 4;
+			valid = digits.length === 4;
+		}else{
+			return char;
+		}
+
+		var code = parseInt(digits, 16);
+
+		if (!valid || !HEX.test(digits) || code > 0x10FFFF) {
+			this.fail(start, 'Invalid escape sequence');
+		}
+
+		return String.fromCodePoint(code);
+	}
+
+
+	/**
+	 * Skip over any whitespace at the current position.
+	 */
+	skip() {
+		while(this.index < this.string.length && WHITESPACE.test(this.peek())) {
+			this.index++;
+		}
+	}
+
+
+	/**
+	 * Consume the `char` specified, failing if it is not the next character.
+	 *
+	 * @param {String} char	The character expected.
+	 */
+	expect(char) {
+		if (this.peek() !== char) {
+			this.fail();
+		}
+		this.index++;
+	}
+
+
+	/**
+	 * Obtain the character at the current position, without consuming it.
+	 *
+	 * @return {String}	The current character, or `undefined` at the end.
+	 */
+	peek() {
+		return this.string[this.index];
+	}
+
+
+	/**
+	 * Throw a `SyntaxError` describing a failure at the `index` given, which
+	 * defaults to the current position.
+	 *
+	 * @param {Number} index	The position of the offending character.
+	 * @param {String} message	A description of the failure, if not simply an
+	 *							unexpected character.
+	 */
+	fail(index = this.index, message) {
+		var string	= this.string,
+			char	= string[index];
+
+		if (!message) {
+			message = char === undefined ? 'Unexpected end of path'
+				: 'Unexpected ' + JSON.stringify(char);
+		}
+
+		var error = new SyntaxError(message + ' at position ' + index
+			+ ' in path ' + JSON.stringify(string) + '\n\n\t' + string
+			+ '\n\t' + ' '.repeat(index) + '^');
+
+		error.index = index;
+		throw error;
+	}
+
+
+}
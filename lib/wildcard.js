@@ -0,0 +1,187 @@
+import Link from './link';
+
+
+/**
+ * A `Wildcard` is a `Link` that fans out over every own enumerable key of the
+ * object it is attached to, following the remainder of the path from each of
+ * them, and resolving to an object mapping each key to the value found.
+ *
+ * With the descriptor based `Observer`, only the keys present at the time of
+ * attachment are followed, as additions cannot be observed, but the keys are
+ * re-evaluated whenever the wildcard is re-attached, as a result of an earlier
+ * segment of the path changing.  With the `ProxyObserver`, keys added or
+ * removed through the proxy are followed immediately.
+ */
+export default class Wildcard extends Link {
+
+
+	/**
+	 * Attach this `Wildcard` to the `target` object specified, creating a
+	 * chain of `Link`s from each of its keys.
+	 *
+	 * @param {Object} target	The target object to fan out over.
+	 *
+	 * @return {Object}	An object mapping each key to its resolved value.
+	 */
+	attach(target) {
+		if (this.branches) {
+			this.detach();
+		}
+
+		var backend = this.backend;
+
+		// Where the backend can observe the addition and removal of keys,
+		// fan out again whenever they change.
+		if (backend.KEYS) {
+			this.target		= target;
+			this.observer	= backend.observe(target, backend.KEYS, this.change);
+		}
+
+		return this.fan(target);
+	}
+
+
+	/**
+	 * Detach this `Wildcard`, and the chains following each of its keys.
+	 */
+	detach() {
+		var branches = this.branches;
+
+		if (!branches) {
+			return;
+		}
+
+		for(let branch of branches) {
+			branch.detach();
+		}
+
+		if (this.observer) {
+			this.observer.remove(this.change);
+			this.observer = null;
+		}
+
+		this.branches	= null;
+		this.values		= null;
+	}
+
+
+	/**
+	 * A wildcard resolves to many values, so it cannot be set directly.
+	 *
+	 * @return {boolean} `false`, always.
+	 */
+	set() {
+		return false;
+	}
+
+
+	// ----------------------------- PRIVATE API -------------------------------
+
+
+	/**
+	 * Create a chain of `Link`s from each key of the `target` given, replacing
+	 * any existing chains.
+	 *
+	 * @param {Object} target	The target object to fan out over.
+	 *
+	 * @return {Object}	An object mapping each key to its resolved value.
+	 */
+	fan(target) {
+		var branches	= this.branches || [],
+			values		= this.values = {};
+
+		for(let branch of branches) {
+			branch.detach();
+		}
+
+		branches = this.branches = [];
+
+		for(let key of Object.keys(target)) {
+			var branch = new this.Branch(this.root, this.backend,
+				(value, inner, origin) => { this.update(key, value, origin); });
+
+			branch.part = key;
+			branches.push(branch);
+
+			values[key] = branch.attach(target);
+		}
+
+		return values;
+	}
+
+
+	/**
+	 * Callback handler for a change in the keys of the current target, where
+	 * the backend is able to observe them.
+	 */
+	change() {
+		var target		= this.target,
+			previous	= Object.keys(this.values),
+			keys		= Object.keys(target);
+
+		// The key added or removed is the one present in only one of the sets.
+		var property = keys.find((key) => previous.indexOf(key) === -1)
+			|| previous.find((key) => keys.indexOf(key) === -1);
+
+		this.report(this.fan(target), undefined,
+			{ target: target, property: property, index: this.index });
+	}
+
+
+	/**
+	 * Callback handler for a change in the resolved value of the chain
+	 * following one of the keys of the current target.
+	 *
+	 * @param {String}	key		The key whose resolved value changed.
+	 * @param {any}		value	The new resolved value for that `key`.
+	 * @param {Object}	origin	The write that caused the change.
+	 */
+	update(key, value, origin) {
+		var values = this.values;
+
+		if (Object.is(values[key], value)) {
+			return;
+		}
+
+		// Replace, rather than modify, so that the previous aggregate remains
+		// intact for callbacks receiving it as the `old` value.
+		values = this.values = Object.assign({}, values);
+		values[key] = value;
+
+		this.report(values, key, origin);
+	}
+
+
+	/**
+	 * Define a subclass of `Wildcard` for the `path` given, along with the
+	 * `Link` subclass used to follow each key it fans out over.
+	 *
+	 * @param {Path}		path		The path that 'owns' this `Wildcard`.
+	 * @param {Symbol}		part		`Wildcard.ANY`.
+	 * @param {Function}	NextLink	The class for the `Link` following each
+	 *									key, if any.
+	 * @param {Number}		index		The index of `part` in the `path`.
+	 *
+	 * @return {Function}	The constructor of the new subclass.
+	 */
+	static define(path, part, NextLink, index) {
+		class PathWildcard extends Wildcard {};
+
+		var prototype = PathWildcard.prototype;
+
+		prototype.path		= path;
+		prototype.part		= part;
+		prototype.index		= index;
+		prototype.Branch	= Link.define(path, undefined, NextLink, index);
+
+		return PathWildcard;
+	}
+
+
+}
+
+
+/**
+ * The segment used in a `Path` to match every key of an object.
+ */
+Wildcard.ANY = Symbol('*');
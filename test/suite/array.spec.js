@@ -0,0 +1,138 @@
+import should	from 'should/should';
+import Path		from 'lib/path';
+import Observer	from 'lib/observer';
+
+
+describe('ArrayTracker', () => {
+
+
+	it('should notify index paths when elements move', () => {
+
+		var path	= new Path('todos', 0, 'title'),
+			object	= { todos: [ { title: 'a' }, { title: 'b' } ] },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.todos.shift();
+		changes.should.eql([ [ 'b', 'a' ] ]);
+
+		object.todos.unshift({ title: 'c' });
+		changes.should.eql([ [ 'b', 'a' ], [ 'c', 'b' ] ]);
+
+		object.todos.reverse();
+		changes.should.eql([ [ 'b', 'a' ], [ 'c', 'b' ], [ 'b', 'c' ] ]);
+
+		object.todos.splice(0, 1, { title: 'd' });
+		changes.length.should.equal(4);
+		changes[3].should.eql([ 'd', 'b' ]);
+
+		object.todos.sort((a, b) => a.title < b.title ? -1 : 1);
+		changes.length.should.equal(5);
+		changes[4].should.eql([ 'c', 'd' ]);
+
+		object.todos.pop();
+		object.todos.pop();
+		changes.length.should.equal(6);
+		should(changes[5][0]).be.undefined;
+
+		object.todos.push({ title: 'e' });
+		changes.length.should.equal(7);
+		changes[6].should.eql([ 'e', undefined ]);
+
+	});
+
+
+	it('should re-attach the remainder of the path after a mutation', () => {
+
+		var path	= new Path('todos', 0, 'title'),
+			first	= { title: 'a' },
+			object	= { todos: [ first, { title: 'b' } ] },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.todos.shift();
+		value.should.equal('b');
+
+		first.title = 'ignored';
+		value.should.equal('b');
+
+		object.todos[0].title = 'c';
+		value.should.equal('c');
+
+	});
+
+
+	it('should notify length paths', () => {
+
+		var path	= new Path('todos', 'length'),
+			object	= { todos: [ 1, 2 ] },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.todos.push(3, 4);
+		object.todos.splice(0, 3);
+		object.todos.sort();
+
+		changes.should.eql([ [ 4, 2 ], [ 1, 4 ] ]);
+
+	});
+
+
+	it('should observe indices beyond the end of an array, without changing it', () => {
+
+		var path	= new Path('todos', 2),
+			object	= { todos: [ 1 ] },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.todos.length.should.equal(1);
+
+		object.todos.push(2, 3);
+		value.should.equal(3);
+
+	});
+
+
+	it('should still observe direct index assignment', () => {
+
+		var path	= new Path('todos', 0),
+			object	= { todos: [ 1 ] },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.todos[0] = 5;
+		value.should.equal(5);
+
+	});
+
+
+	it('should restore the array once no longer observed', () => {
+
+		var array = [ 1, 2 ];
+
+		function observer() {}
+
+		Observer.observe(array, 0, observer);
+		Observer.observe(array, 'length', observer);
+
+		array.should.have.ownProperty('push');
+
+		array.push(3);
+
+		Observer.unobserve(array, 0, observer);
+		Observer.unobserve(array, 'length', observer);
+
+		array.should.not.have.ownProperty('push');
+		array.should.eql([ 1, 2, 3 ]);
+
+		Object.getOwnPropertyDescriptor(array, 0).should.have.property('value', 1);
+
+	});
+
+
+});
@@ -0,0 +1,168 @@
+import should	from 'should/should';
+import Path		from 'lib/path';
+
+
+describe('Batch', () => {
+
+
+	it('should hold notifications until the batch returns', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1 } },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		var result = Path.batch(() => {
+			object.a.b = 2;
+			object.a.b = 3;
+
+			changes.length.should.equal(0);
+			path.get(object).should.equal(3);
+
+			return 'done';
+		});
+
+		result.should.equal('done');
+		changes.should.eql([ [ 3, 1 ] ]);
+
+	});
+
+
+	it('should not notify paths whose final value is unchanged', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1 } },
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+
+		Path.batch(() => {
+			object.a = { b: 2 };
+			object.a = { b: 1 };
+		});
+
+		changes.should.equal(0);
+
+	});
+
+
+	it('should hold notifications until the outermost batch returns', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		Path.batch(() => {
+			Path.batch(() => { object.a = 2; });
+			changes.length.should.equal(0);
+			object.a = 3;
+		});
+
+		changes.should.eql([ [ 3, 1 ] ]);
+
+	});
+
+
+	it('should roll back writes, and rethrow, if the batch throws', () => {
+
+		var path	= new Path('a', 'b'),
+			inner	= { b: 1 },
+			object	= { a: inner, c: 5 },
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+		new Path('c').observe(object, () => { changes++; });
+
+		should(() => {
+			Path.batch(() => {
+				object.a.b = 2;
+				object.a = { b: 3 };
+				object.c = 6;
+				throw new Error('failed');
+			});
+		}).throw('failed');
+
+		object.a.should.equal(inner);
+		inner.b.should.equal(1);
+		object.c.should.equal(5);
+		changes.should.equal(0);
+
+		inner.b = 4;
+		changes.should.equal(1);
+
+	});
+
+
+	it('should only roll back the writes of a failed nested batch', () => {
+
+		var object	= { a: 1, b: 1 },
+			changes	= [];
+
+		new Path('a').observe(object, (value) => { changes.push([ 'a', value ]); });
+		new Path('b').observe(object, (value) => { changes.push([ 'b', value ]); });
+
+		Path.batch(() => {
+			object.a = 2;
+
+			try {
+				Path.batch(() => {
+					object.b = 2;
+					throw new Error('failed');
+				});
+			}catch(error) {}
+		});
+
+		object.a.should.equal(2);
+		object.b.should.equal(1);
+		changes.should.eql([ [ 'a', 2 ] ]);
+
+	});
+
+
+	it('should roll back array mutations', () => {
+
+		var path	= new Path('todos', 0),
+			object	= { todos: [ 1, 2 ] };
+
+		path.observe(object, () => {});
+
+		should(() => {
+			Path.batch(() => {
+				object.todos.shift();
+				object.todos.push(3, 4);
+				throw new Error('failed');
+			});
+		}).throw();
+
+		object.todos.should.eql([ 1, 2 ]);
+		path.get(object).should.equal(1);
+
+	});
+
+
+	it('should roll back additions and deletions through a proxy', () => {
+
+		var path	= new Path('a'),
+			root	= Path.observable({ a: 1 });
+
+		path.observe(root, () => {});
+
+		should(() => {
+			Path.batch(() => {
+				root.b = 2;
+				delete root.a;
+				throw new Error('failed');
+			});
+		}).throw();
+
+		Object.keys(root).should.eql([ 'a' ]);
+		root.a.should.equal(1);
+		path.get(root).should.equal(1);
+
+	});
+
+
+});
@@ -0,0 +1,122 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Binding', () => {
+
+
+	it('should copy the first end to the second initially, by default', () => {
+
+		var view	= { name: 'view' },
+			model	= { name: 'model' };
+
+		Path.bind(view, new Path('name'), model, new Path('name'));
+
+		model.name.should.equal('view');
+
+	});
+
+
+	it('should copy the second end to the first initially, if requested', () => {
+
+		var view	= { name: 'view' },
+			model	= { name: 'model' };
+
+		Path.bind(view, new Path('name'), model, new Path('name'),
+			{ initial: 'b' });
+
+		view.name.should.equal('model');
+
+	});
+
+
+	it('should keep both ends equal', () => {
+
+		var view	= { user: { name: 'a' } },
+			model	= { name: 'a' };
+
+		Path.bind(view, new Path('user', 'name'), model, new Path('name'));
+
+		view.user.name = 'b';
+		model.name.should.equal('b');
+
+		model.name = 'c';
+		view.user.name.should.equal('c');
+
+		view.user = { name: 'd' };
+		model.name.should.equal('d');
+
+	});
+
+
+	it('should convert values in each direction', () => {
+
+		var view	= { age: '1' },
+			model	= { age: 0 };
+
+		Path.bind(view, new Path('age'), model, new Path('age'),
+			{ to: Number, from: String });
+
+		model.age.should.equal(1);
+
+		model.age = 2;
+		view.age.should.equal('2');
+
+		view.age = '3';
+		model.age.should.equal(3);
+
+	});
+
+
+	it('should not loop when converters are not inverses', () => {
+
+		var a		= { value: 1 },
+			b		= { value: 0 },
+			writes	= 0,
+			path	= new Path('value');
+
+		path.observe(b, () => { writes++; });
+
+		Path.bind(a, path, b, path, {
+			to:		(value) => value + 1,
+			from:	(value) => value + 1
+		});
+
+		writes.should.equal(1);
+		b.value.should.equal(2);
+		a.value.should.equal(1);
+
+		a.value = 5;
+		b.value.should.equal(6);
+		a.value.should.equal(5);
+
+		b.value = 10;
+		a.value.should.equal(11);
+		b.value.should.equal(10);
+
+	});
+
+
+	it('should tear down both directions with one handle', () => {
+
+		var a		= { value: 1 },
+			b		= { value: 1 },
+			path	= new Path('value'),
+			binding	= Path.bind(a, path, b, path);
+
+		binding.unsubscribe();
+		binding.unsubscribe();
+
+		a.value = 2;
+		b.value.should.equal(1);
+
+		b.value = 3;
+		a.value.should.equal(2);
+
+		should(path.observed.get(a)).be.undefined;
+		should(path.observed.get(b)).be.undefined;
+
+	});
+
+
+});
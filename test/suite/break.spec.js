@@ -0,0 +1,106 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Breaks', () => {
+
+
+	it('should report the segment that breaks the chain, and why', () => {
+
+		var path	= new Path('user', 'profile', 'name'),
+			object	= { user: { profile: { name: 'a' } } },
+			breaks	= [];
+
+		path.observe(object, () => {}, {
+			onBreak: (broken, previous) => { breaks.push([ broken, previous ]); }
+		});
+
+		delete object.user.profile.name;
+		object.user.profile = undefined;
+		object.user.profile = 5;
+
+		breaks.should.eql([
+			[ { index: 1, reason: 'missing' }, null ],
+			[ { index: 1, reason: 'primitive' },
+				{ index: 1, reason: 'missing' } ]
+		]);
+
+	});
+
+
+	it('should report when the chain re-forms', () => {
+
+		var path	= new Path('user', 'profile', 'name'),
+			object	= { user: null },
+			values	= [],
+			breaks	= [];
+
+		path.observe(object, (value) => { values.push(value); }, {
+			onBreak: (broken, previous) => { breaks.push([ broken, previous ]); }
+		});
+
+		object.user = { profile: {} };
+
+		values.length.should.equal(0);
+		breaks.should.eql([ [ null, { index: 0, reason: 'missing' } ] ]);
+
+	});
+
+
+	it('should report a break moving to another segment', () => {
+
+		var path	= new Path('a', 'b', 'c'),
+			object	= { a: { b: null } },
+			breaks	= [];
+
+		path.observe(object, () => {}, {
+			onBreak: (broken) => { breaks.push(broken); }
+		});
+
+		object.a = 1;
+		object.a = { b: 2 };
+
+		breaks.should.eql([
+			{ index: 0, reason: 'primitive' },
+			{ index: 1, reason: 'primitive' }
+		]);
+
+	});
+
+
+	it('should not report changes that leave the break in place', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: null },
+			breaks	= 0;
+
+		path.observe(object, () => {}, { onBreak: () => { breaks++; } });
+
+		object.a = undefined;
+		object.a = 0;
+		object.a = 1;
+
+		breaks.should.equal(1);
+
+	});
+
+
+	it('should report the net change in a batch', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1 } },
+			breaks	= 0;
+
+		path.observe(object, () => {}, { onBreak: () => { breaks++; } });
+
+		Path.batch(() => {
+			object.a = null;
+			object.a = { b: 1 };
+		});
+
+		breaks.should.equal(0);
+
+	});
+
+
+});
@@ -0,0 +1,156 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Collections', () => {
+
+
+	it('should resolve through Map entries', () => {
+
+		var users	= new Map([ [ 1, { name: 'a' } ] ]),
+			path	= new Path('users', Path.key(1), 'name');
+
+		path.get({ users: users }).should.equal('a');
+		should(new Path('users', Path.key(2), 'name').get({ users: users }))
+			.be.undefined;
+
+	});
+
+
+	it('should re-attach when an observed key is set or deleted', () => {
+
+		var users	= new Map([ [ 1, { name: 'a' } ] ]),
+			object	= { users: users },
+			path	= new Path('users', Path.key(1), 'name'),
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		var replacement = { name: 'b' };
+
+		users.set(1, replacement);
+		replacement.name = 'c';
+		users.set(2, { name: 'x' });
+		users.delete(1);
+
+		changes.should.eql([ [ 'b', 'a' ], [ 'c', 'b' ], [ undefined, 'c' ] ]);
+
+	});
+
+
+	it('should notify observed keys when a Map is cleared', () => {
+
+		var map		= new Map([ [ 'a', 1 ] ]),
+			object	= { map: map },
+			path	= new Path('map', Path.key('a')),
+			value	= null;
+
+		path.observe(object, (replacement, old) => { value = [ replacement, old ]; });
+
+		map.clear();
+		value.should.eql([ undefined, 1 ]);
+
+	});
+
+
+	it('should resolve Set membership to a boolean', () => {
+
+		var tags	= new Set([ 'a' ]),
+			object	= { tags: tags },
+			path	= new Path('tags', Path.has('b')),
+			values	= [];
+
+		path.get(object).should.be.false;
+
+		path.observe(object, (value) => { values.push(value); });
+
+		tags.add('c');
+		tags.add('b');
+		tags.delete('b');
+
+		values.should.eql([ true, false ]);
+
+	});
+
+
+	it('should restore collection methods once unobserved', () => {
+
+		var map				= new Map(),
+			path			= new Path('map', Path.key('a')),
+			subscription	= path.observe({ map: map }, () => {});
+
+		map.hasOwnProperty('set').should.be.true;
+		Object.keys(map).length.should.equal(0);
+
+		subscription.unsubscribe();
+
+		map.hasOwnProperty('set').should.be.false;
+
+	});
+
+
+	it('should set and delete Map entries through a path', () => {
+
+		var map		= new Map(),
+			object	= { map: map },
+			path	= new Path('map', Path.key('a')),
+			values	= [];
+
+		path.observe(object, (value) => { values.push(value); });
+
+		path.set(object, 1).should.be.true;
+		map.get('a').should.equal(1);
+
+		path.delete(object).should.be.true;
+		map.has('a').should.be.false;
+
+		values.should.eql([ 1, undefined ]);
+
+	});
+
+
+	it('should create Maps for missing key segments', () => {
+
+		var object	= {},
+			path	= new Path('users', Path.key(1), 'name');
+
+		path.set(object, 'a', { create: true });
+
+		object.users.should.be.an.instanceof(Map);
+		object.users.get(1).should.eql({ name: 'a' });
+
+	});
+
+
+	it('should roll back collection changes when a batch fails', () => {
+
+		var map		= new Map([ [ 'a', 1 ] ]),
+			object	= { map: map },
+			path	= new Path('map', Path.key('a')),
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+
+		(() => {
+			Path.batch(() => {
+				map.set('a', 2);
+				map.clear();
+				throw new Error('fail');
+			});
+		}).should.throw('fail');
+
+		map.get('a').should.equal(1);
+		changes.should.equal(0);
+
+	});
+
+
+	it('should describe segments in the string path syntax', () => {
+
+		String(new Path('users', Path.key('1'), 'name'))
+			.should.equal('users.get("1").name');
+
+	});
+
+
+});
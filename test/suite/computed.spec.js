@@ -0,0 +1,140 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Computed', () => {
+
+
+	it('should compute a value from several paths', () => {
+
+		var total	= Path.computed([ new Path('price'), new Path('quantity') ],
+				(price, quantity) => price * quantity),
+			order	= { price: 2, quantity: 3 };
+
+		total.get(order).should.equal(6);
+
+	});
+
+
+	it('should notify when an input changes the computed value', () => {
+
+		var total	= Path.computed([ new Path('price'), new Path('quantity') ],
+				(price, quantity) => price * quantity),
+			order	= { price: 2, quantity: 3 },
+			changes	= [];
+
+		total.observe(order, (value, old) => { changes.push([ value, old ]); });
+
+		order.quantity = 4;
+		changes.should.eql([ [ 8, 6 ] ]);
+		total.get(order).should.equal(8);
+
+	});
+
+
+	it('should not notify when the computed value is unchanged', () => {
+
+		var computes	= 0,
+			sign		= Path.computed([ new Path('a') ], (a) => {
+				computes++;
+				return a > 0;
+			}),
+			object		= { a: 1 },
+			changes		= 0;
+
+		sign.observe(object, () => { changes++; });
+		computes = 0;
+
+		object.a = 2;
+		computes.should.equal(1);
+		changes.should.equal(0);
+
+		object.a = -1;
+		changes.should.equal(1);
+
+	});
+
+
+	it('should share link chains with other observers of its inputs', () => {
+
+		var path	= new Path('a', 'b'),
+			double	= Path.computed([ path ], (b) => b * 2),
+			object	= { a: { b: 1 } },
+			direct	= null,
+			derived	= null;
+
+		function change(value) { direct = value; }
+
+		path.observe(object, change);
+		double.observe(object, (value) => { derived = value; });
+
+		path.observed.get(object).subscriptions.length.should.equal(2);
+
+		object.a = { b: 3 };
+		direct.should.equal(3);
+		derived.should.equal(6);
+
+		path.unobserve(object, change);
+		object.a.b = 4;
+		derived.should.equal(8);
+
+	});
+
+
+	it('should notify once for inputs changed together in a batch', () => {
+
+		var sum		= Path.computed([ new Path('a'), new Path('b') ],
+				(a, b) => a + b),
+			object	= { a: 1, b: 2 },
+			changes	= [];
+
+		sum.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		Path.batch(() => {
+			object.a = 2;
+			object.b = 3;
+		});
+
+		changes.should.eql([ [ 5, 3 ] ]);
+
+	});
+
+
+	it('should accept computed values as inputs', () => {
+
+		var sum		= Path.computed([ new Path('a'), new Path('b') ],
+				(a, b) => a + b),
+			double	= Path.computed([ sum ], (value) => value * 2),
+			object	= { a: 1, b: 2 },
+			value	= null;
+
+		double.observe(object, (replacement) => { value = replacement; });
+
+		object.b = 4;
+		value.should.equal(10);
+
+	});
+
+
+	it('should stop observing its inputs once unobserved', () => {
+
+		var path	= new Path('a'),
+			double	= Path.computed([ path ], (a) => a * 2),
+			object	= { a: 1 },
+			changes	= 0;
+
+		function change() { changes++; }
+
+		double.observe(object, change);
+		double.unobserve(object, change).should.be.true;
+
+		should(path.observed.get(object)).be.undefined;
+
+		object.a = 2;
+		changes.should.equal(0);
+		double.get(object).should.equal(4);
+
+	});
+
+
+});
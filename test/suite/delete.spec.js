@@ -0,0 +1,145 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Observer		from 'lib/observer';
+
+
+describe('Path.delete', () => {
+
+
+	it('should remove the final property, as if never defined', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1, c: 2 } };
+
+		path.observe(object, () => {});
+
+		path.delete(object).should.be.true;
+
+		object.a.propertyIsEnumerable('b').should.be.false;
+		Object.keys(object.a).should.eql([ 'c' ]);
+		JSON.stringify(object).should.equal('{"a":{"c":2}}');
+		should(object.a.b).be.undefined;
+
+	});
+
+
+	it('should notify every path passing through the property', () => {
+
+		var path	= new Path('a', 'b'),
+			deeper	= new Path('a', 'b', 'c'),
+			object	= { a: { b: { c: 1 } } },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ 'b', value ]); });
+		deeper.observe(object, (value, old) => { changes.push([ 'c', value ]); });
+
+		path.delete(object);
+
+		changes.should.eql([ [ 'b', undefined ], [ 'c', undefined ] ]);
+
+	});
+
+
+	it('should observe the property again once assigned', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1 } },
+			values	= [];
+
+		path.observe(object, (value) => { values.push(value); });
+
+		path.delete(object);
+		object.a.b = 5;
+
+		values.should.eql([ undefined, 5 ]);
+		path.get(object).should.equal(5);
+		Object.keys(object.a).should.eql([ 'b' ]);
+
+		object.a.b = 6;
+		values.should.eql([ undefined, 5, 6 ]);
+
+	});
+
+
+	it('should expose a definition from the prototype', () => {
+
+		var path	= new Path('a'),
+			proto	= { a: 'inherited' },
+			object	= Object.create(proto),
+			value	= null;
+
+		object.a = 'own';
+
+		path.observe(object, (replacement) => { value = replacement; });
+		path.delete(object);
+
+		value.should.equal('inherited');
+		object.a.should.equal('inherited');
+
+	});
+
+
+	it('should delete through Observer directly', () => {
+
+		var object	= { a: 1 },
+			values	= [];
+
+		function change(target, value) { values.push(value); }
+
+		Observer.observe(object, 'a', change);
+		Observer.delete(object, 'a').should.be.true;
+
+		Object.keys(object).should.eql([]);
+		values.should.eql([ undefined ]);
+
+		Observer.unobserve(object, 'a', change);
+		('a' in object).should.be.false;
+
+	});
+
+
+	it('should delete from observable roots', () => {
+
+		var path	= new Path('a'),
+			object	= Path.observable({ a: 1 }),
+			value	= null;
+
+		path.observe(object, (replacement, old) => { value = [ replacement, old ]; });
+		path.delete(object).should.be.true;
+
+		value.should.eql([ undefined, 1 ]);
+		('a' in object).should.be.false;
+
+	});
+
+
+	it('should restore deleted properties when a batch fails', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 };
+
+		path.observe(object, () => {});
+
+		(() => {
+			Path.batch(() => {
+				path.delete(object);
+				throw new Error('fail');
+			});
+		}).should.throw('fail');
+
+		object.a.should.equal(1);
+		path.get(object).should.equal(1);
+
+	});
+
+
+	it('should not delete through a broken chain', () => {
+
+		var path = new Path('a', 'b');
+
+		path.delete({ a: null }).should.be.false;
+
+	});
+
+
+});
@@ -0,0 +1,131 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Digest', () => {
+
+
+	it('should dirty check getter-only properties', () => {
+
+		var path	= new Path('a', 'b').configure({ dirtyCheck: true }),
+			source	= 1,
+			inner	= { get b() { return source; } },
+			object	= { a: inner },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+		path.get(object).should.equal(1);
+
+		source = 2;
+		changes.length.should.equal(0);
+
+		Path.digest().should.equal(1);
+		changes.should.eql([ [ 2, 1 ] ]);
+
+		Path.digest().should.equal(0);
+		changes.length.should.equal(1);
+
+	});
+
+
+	it('should dirty check properties of frozen objects', () => {
+
+		var path	= new Path('config', 'mode').configure({ dirtyCheck: true }),
+			object	= { config: Object.freeze({ mode: 'a' }) },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.config = Object.freeze({ mode: 'b' });
+		value.should.equal('b');
+
+	});
+
+
+	it('should not set dirty checked properties through a path', () => {
+
+		var path	= new Path('config', 'mode').configure({ dirtyCheck: true }),
+			object	= { config: Object.freeze({ mode: 'a' }) },
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+
+		path.set(object, 'b').should.be.false;
+		path.get(object).should.equal('a');
+		object.config.mode.should.equal('a');
+		changes.should.equal(0);
+
+	});
+
+
+	it('should dirty check properties of sealed objects', () => {
+
+		var path	= new Path('a').configure({ dirtyCheck: true }),
+			object	= Object.seal({ a: 1 }),
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.a = 2;
+		should(value).be.null;
+
+		Path.digest();
+		value.should.equal(2);
+
+	});
+
+
+	it('should still throw for unconfigurable properties by default', () => {
+
+		var path	= new Path('a'),
+			object	= Object.seal({ a: 1 });
+
+		(() => { path.observe(object, () => {}); }).should.throw();
+
+	});
+
+
+	it('should stop dirty checking once unobserved', () => {
+
+		var path			= new Path('a').configure({ dirtyCheck: true }),
+			object			= Object.seal({ a: 1 }),
+			changes			= 0,
+			subscription	= path.observe(object, () => { changes++; });
+
+		subscription.unsubscribe();
+
+		object.a = 2;
+		Path.digest().should.equal(0);
+		changes.should.equal(0);
+
+	});
+
+
+	it('should poll with an injectable timer', () => {
+
+		var path	= new Path('a').configure({ dirtyCheck: true }),
+			object	= Object.seal({ a: 1 }),
+			timers	= [],
+			values	= [],
+			clock	= {
+				setTimeout:		(fn) => timers.push(fn),
+				clearTimeout:	(timer) => { timers[timer - 1] = null; }
+			};
+
+		path.observe(object, (value) => { values.push(value); });
+
+		var stop = Path.poll(100, clock);
+
+		object.a = 2;
+		timers[0]();
+		values.should.eql([ 2 ]);
+
+		object.a = 3;
+		stop();
+		should(timers[1]).be.null;
+		values.should.eql([ 2 ]);
+
+	});
+
+
+});
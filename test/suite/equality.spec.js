@@ -0,0 +1,161 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Observer		from 'lib/observer';
+import Equality		from 'lib/equality';
+
+
+describe('Equality', () => {
+
+
+	it('should not report NaN replacing NaN as a change', () => {
+
+		var object	= { a: NaN },
+			path	= new Path('a'),
+			direct	= 0,
+			changes	= 0;
+
+		function observer() { direct++; }
+
+		Observer.observe(object, 'a', observer);
+		path.observe(object, () => { changes++; });
+
+		object.a = NaN;
+		object.a = NaN;
+
+		direct.should.equal(0);
+		changes.should.equal(0);
+
+		object.a = 1;
+		changes.should.equal(1);
+
+		Observer.unobserve(object, 'a', observer);
+
+	});
+
+
+	it('should report changes according to a configured comparator', () => {
+
+		var path		= new Path('point').configure({ equals: Equality.shallow }),
+			object		= { point: { x: 1, y: 2 } },
+			original	= object.point,
+			changes		= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.point = { x: 1, y: 2 };
+		changes.length.should.equal(0);
+		path.get(object).should.equal(original);
+
+		object.point = { x: 1, y: 3 };
+		changes.should.eql([ [ { x: 1, y: 3 }, { x: 1, y: 2 } ] ]);
+
+	});
+
+
+	it('should accept custom comparators', () => {
+
+		var path	= new Path('name').configure({
+				equals: (a, b) => String(a).toLowerCase() === String(b).toLowerCase()
+			}),
+			object	= { name: 'Bob' },
+			values	= [];
+
+		path.observe(object, (value) => { values.push(value); });
+
+		object.name = 'BOB';
+		object.name = 'Robert';
+
+		values.should.eql([ 'Robert' ]);
+
+	});
+
+
+	it('should report the last value delivered after a suppressed change', () => {
+
+		var path	= new Path('user', 'name').configure({
+				equals: (a, b) => String(a).toLowerCase() === String(b).toLowerCase()
+			}),
+			object	= { user: { name: 'Bob' } },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.user.name = 'BOB';
+		path.get(object).should.equal('Bob');
+
+		object.user.name = 'Robert';
+		changes.should.eql([ [ 'Robert', 'Bob' ] ]);
+
+	});
+
+
+	it('should report the last computed value delivered after a suppressed change', () => {
+
+		var name	= Path.computed([ new Path('first'), new Path('last') ],
+				(first, last) => first + ' ' + last),
+			object	= { first: 'a', last: 'b' },
+			changes	= [];
+
+		name.configure({
+			equals: (a, b) => a.toLowerCase() === b.toLowerCase()
+		});
+		name.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.first = 'A';
+		object.first = 'c';
+
+		changes.should.eql([ [ 'c b', 'a b' ] ]);
+
+	});
+
+
+	it('should apply comparators to the net change of deferred notifications', () => {
+
+		var path	= new Path('point').configure({ equals: Equality.shallow }),
+			object	= { point: { x: 1 } },
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+
+		Path.batch(() => {
+			object.point = { x: 2 };
+			object.point = { x: 1 };
+		});
+
+		changes.should.equal(0);
+
+	});
+
+
+	it('should apply comparators to computed values', () => {
+
+		var bounds	= Path.computed([ new Path('x'), new Path('y') ],
+				(x, y) => ({ max: Math.max(x, y) })),
+			object	= { x: 1, y: 2 },
+			changes	= 0;
+
+		bounds.configure({ equals: Equality.shallow });
+		bounds.observe(object, () => { changes++; });
+
+		object.x = 0;
+		changes.should.equal(0);
+
+		object.x = 3;
+		changes.should.equal(1);
+
+	});
+
+
+	it('should compare shallowly', () => {
+
+		Equality.shallow({ a: 1 }, { a: 1 }).should.be.true;
+		Equality.shallow([ 1, 2 ], [ 1, 2 ]).should.be.true;
+		Equality.shallow({ a: 1 }, { a: 1, b: 2 }).should.be.false;
+		Equality.shallow({ a: {} }, { a: {} }).should.be.false;
+		Equality.shallow([ 1 ], { 0: 1 }).should.be.false;
+		Equality.shallow(NaN, NaN).should.be.true;
+
+	});
+
+
+});
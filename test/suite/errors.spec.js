@@ -0,0 +1,172 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Observer		from 'lib/observer';
+
+
+describe('Errors', () => {
+
+
+	afterEach(() => {
+		Path.onError(null);
+	});
+
+
+	it('should commit writes, and invoke every callback, before rethrowing', () => {
+
+		var object	= { a: 1 },
+			calls	= [],
+			failure	= new Error('first');
+
+		function first() { calls.push('first'); throw failure; }
+		function second(target, value) { calls.push(value); }
+
+		Observer.observe(object, 'a', first);
+		Observer.observe(object, 'a', second);
+
+		(() => { object.a = 2; }).should.throw(failure);
+
+		object.a.should.equal(2);
+		calls.should.eql([ 'first', 2 ]);
+
+		Observer.unobserve(object, 'a', first);
+		Observer.unobserve(object, 'a', second);
+
+	});
+
+
+	it('should pass writes on to chained setters when a callback throws', () => {
+
+		var stored	= 1,
+			object	= {
+				get a() { return stored; },
+				set a(value) { stored = value; }
+			};
+
+		function observer() { throw new Error('failed'); }
+
+		Observer.observe(object, 'a', observer);
+
+		(() => { object.a = 2; }).should.throw('failed');
+
+		stored.should.equal(2);
+		object.a.should.equal(2);
+
+		Observer.unobserve(object, 'a', observer);
+
+	});
+
+
+	it('should rethrow multiple errors as a flattened AggregateError', () => {
+
+		var object	= { a: { b: 1 } },
+			first	= new Error('first'),
+			second	= new Error('second'),
+			third	= new Error('third'),
+			values	= [];
+
+		new Path('a', 'b').observe(object, () => { throw first; });
+		new Path('a', 'b').observe(object, () => { throw second; });
+		new Path('a').observe(object, () => { throw third; });
+		new Path('a', 'b').observe(object, (value) => { values.push(value); });
+
+		try {
+			object.a = { b: 2 };
+			should.fail();
+		}catch(error) {
+			error.should.be.an.instanceof(AggregateError);
+			error.errors.should.eql([ first, second, third ]);
+		}
+
+		values.should.eql([ 2 ]);
+		new Path('a', 'b').get(object).should.equal(2);
+
+	});
+
+
+	it('should rethrow multiple errors as an Error without AggregateError', () => {
+
+		var object		= { a: 1 },
+			first		= new Error('first'),
+			second		= new Error('second'),
+			scope		= typeof global === 'object' ? global : window,
+			Aggregate	= scope.AggregateError;
+
+		new Path('a').observe(object, () => { throw first; });
+		new Path('a').observe(object, () => { throw second; });
+
+		delete scope.AggregateError;
+
+		try {
+			object.a = 2;
+			should.fail();
+		}catch(error) {
+			error.should.be.an.instanceof(Error);
+			error.errors.should.eql([ first, second ]);
+		}finally{
+			scope.AggregateError = Aggregate;
+		}
+
+		object.a.should.equal(2);
+
+	});
+
+
+	it('should pass errors to the handler registered', () => {
+
+		var object	= { a: 1 },
+			path	= new Path('a'),
+			errors	= [],
+			values	= [];
+
+		Path.onError((error) => { errors.push(error.message); });
+
+		path.observe(object, () => { throw new Error('first'); });
+		path.observe(object, () => { throw new Error('second'); });
+		path.observe(object, (value) => { values.push(value); });
+
+		object.a = 2;
+
+		errors.should.eql([ 'first', 'second' ]);
+		values.should.eql([ 2 ]);
+
+	});
+
+
+	it('should notify every path held by a batch', () => {
+
+		var object	= { a: 1, b: 1 },
+			values	= [];
+
+		new Path('a').observe(object, () => { throw new Error('failed'); });
+		new Path('b').observe(object, (value) => { values.push(value); });
+
+		(() => {
+			Path.batch(() => {
+				object.a = 2;
+				object.b = 2;
+			});
+		}).should.throw('failed');
+
+		object.a.should.equal(2);
+		values.should.eql([ 2 ]);
+
+	});
+
+
+	it('should isolate errors from array mutations', () => {
+
+		var object	= { list: [ 1, 2 ] },
+			values	= [];
+
+		new Path('list', 0).observe(object, () => { throw new Error('failed'); });
+		new Path('list', 1).observe(object, (value) => { values.push(value); });
+
+		(() => { object.list.reverse(); }).should.throw('failed');
+
+		object.list.should.eql([ 2, 1 ]);
+		values.should.eql([ 1 ]);
+
+	});
+
+
+});
@@ -0,0 +1,188 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('History', () => {
+
+
+	var ticks;
+
+	function tick(fn) { ticks.push(fn); }
+
+	function next() {
+		var pending = ticks;
+		ticks = [];
+		pending.forEach((fn) => { fn(); });
+	}
+
+	beforeEach(() => {
+		ticks = [];
+	});
+
+
+	it('should undo and redo changes', () => {
+
+		var doc		= { title: 'a' },
+			history	= Path.history(doc, [ new Path('title') ], { tick });
+
+		history.canUndo.should.be.false;
+
+		doc.title = 'b';
+		next();
+		doc.title = 'c';
+		next();
+
+		history.canUndo.should.be.true;
+		history.undo().should.be.true;
+		doc.title.should.equal('b');
+
+		history.canRedo.should.be.true;
+		history.undo();
+		doc.title.should.equal('a');
+
+		history.canUndo.should.be.false;
+		history.undo().should.be.false;
+
+		history.redo();
+		history.redo();
+		doc.title.should.equal('c');
+		history.canRedo.should.be.false;
+		history.redo().should.be.false;
+
+	});
+
+
+	it('should group changes made in the same tick', () => {
+
+		var doc		= { title: 'a', body: { text: 'x' } },
+			history	= Path.history(doc,
+				[ new Path('title'), new Path('body', 'text') ], { tick });
+
+		doc.title = 'b';
+		doc.body.text = 'y';
+		doc.title = 'c';
+		next();
+
+		history.undo();
+
+		doc.title.should.equal('a');
+		doc.body.text.should.equal('x');
+		history.canUndo.should.be.false;
+
+		history.redo();
+
+		doc.title.should.equal('c');
+		doc.body.text.should.equal('y');
+
+	});
+
+
+	it('should group changes made in a batch', () => {
+
+		var doc		= { a: 1, b: 1 },
+			history	= Path.history(doc, [ new Path('a'), new Path('b') ]);
+
+		Path.batch(() => {
+			doc.a = 2;
+			doc.b = 2;
+		});
+
+		history.undo();
+
+		doc.a.should.equal(1);
+		doc.b.should.equal(1);
+
+	});
+
+
+	it('should close steps on a microtask by default', (done) => {
+
+		var doc		= { a: 1 },
+			history	= Path.history(doc, [ new Path('a') ]);
+
+		doc.a = 2;
+
+		Promise.resolve().then(() => {
+			doc.a = 3;
+			history.undo();
+			doc.a.should.equal(2);
+		}).then(done, done);
+
+	});
+
+
+	it('should notify observers of replays, without recording them', () => {
+
+		var doc		= { title: 'a' },
+			path	= new Path('title'),
+			history	= Path.history(doc, [ path ], { tick }),
+			changes	= [];
+
+		path.observe(doc, (value, old) => { changes.push([ value, old ]); });
+
+		doc.title = 'b';
+		next();
+
+		history.undo();
+		changes.should.eql([ [ 'b', 'a' ], [ 'a', 'b' ] ]);
+
+		history.canUndo.should.be.false;
+		history.canRedo.should.be.true;
+
+	});
+
+
+	it('should discard redo steps once a new change is recorded', () => {
+
+		var doc		= { title: 'a' },
+			history	= Path.history(doc, [ new Path('title') ], { tick });
+
+		doc.title = 'b';
+		next();
+		history.undo();
+
+		doc.title = 'c';
+		history.canRedo.should.be.false;
+
+	});
+
+
+	it('should discard the oldest steps beyond the limit', () => {
+
+		var doc		= { n: 0 },
+			history	= Path.history(doc, [ new Path('n') ], { tick, limit: 2 });
+
+		for(var n = 1; n <= 4; n++) {
+			doc.n = n;
+			next();
+		}
+
+		history.undo();
+		history.undo();
+		history.undo().should.be.false;
+		doc.n.should.equal(2);
+
+	});
+
+
+	it('should stop recording once unsubscribed', () => {
+
+		var doc		= { title: 'a' },
+			history	= Path.history(doc, [ new Path('title') ], { tick });
+
+		history.unsubscribe();
+		doc.title = 'b';
+
+		history.canUndo.should.be.false;
+
+	});
+
+
+	it('should not record wildcard paths', () => {
+
+		(() => { Path.history({}, [ new Path(Path.ANY) ]); }).should.throw();
+
+	});
+
+
+});
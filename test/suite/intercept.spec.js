@@ -0,0 +1,296 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Observer		from 'lib/observer';
+
+
+describe('Intercept', () => {
+
+
+	function trim(value) {
+		return typeof value === 'string' ? value.trim() : value;
+	}
+
+
+	function positive(value) {
+		if (value < 0) {
+			throw new RangeError('Negative quantity');
+		}
+		return value;
+	}
+
+
+	it('should transform writes before callbacks are notified', () => {
+
+		var object	= { name: 'a' },
+			values	= [];
+
+		function observer(target, value) { values.push(value); }
+
+		Observer.intercept(object, 'name', trim);
+		Observer.observe(object, 'name', observer);
+
+		object.name = '  b  ';
+
+		object.name.should.equal('b');
+		values.should.eql([ 'b' ]);
+
+		Observer.unobserve(object, 'name', observer);
+		Observer.unintercept(object, 'name', trim);
+
+		object.name = ' c ';
+		object.name.should.equal(' c ');
+
+	});
+
+
+	it('should reject writes when an interceptor throws', () => {
+
+		var object	= { quantity: 1 },
+			values	= [];
+
+		new Path('quantity').observe(object, (value) => { values.push(value); });
+		Observer.intercept(object, 'quantity', positive);
+
+		(() => { object.quantity = -1; }).should.throw(RangeError);
+
+		object.quantity.should.equal(1);
+		values.should.eql([]);
+
+		object.quantity = 2;
+		values.should.eql([ 2 ]);
+
+		Observer.unintercept(object, 'quantity', positive);
+
+	});
+
+
+	it('should cancel writes silently', () => {
+
+		var object	= { locked: true, value: 1 },
+			changes	= 0;
+
+		function lock(value, old, target) {
+			return target.locked ? Observer.CANCEL : value;
+		}
+
+		Observer.intercept(object, 'value', lock);
+		new Path('value').observe(object, () => { changes++; });
+
+		object.value = 2;
+		object.value.should.equal(1);
+		changes.should.equal(0);
+
+		object.locked = false;
+		object.value = 2;
+		object.value.should.equal(2);
+		changes.should.equal(1);
+
+		Observer.unintercept(object, 'value', lock);
+
+	});
+
+
+	it('should report the value committed by Path#set', () => {
+
+		var object	= { name: 'a' },
+			path	= new Path('name');
+
+		path.observe(object, () => {});
+		Observer.intercept(object, 'name', trim);
+
+		path.set(object, '  hi  ').should.be.true;
+		path.get(object).should.equal('hi');
+
+		path.set(object, '  silent  ', true).should.be.true;
+		path.get(object).should.equal('silent');
+		object.name.should.equal('silent');
+
+		Observer.unintercept(object, 'name', trim);
+
+	});
+
+
+	it('should return false from Path#set where the write is vetoed', () => {
+
+		var object	= { value: 1 },
+			path	= new Path('value'),
+			changes	= 0;
+
+		function veto() { return Observer.CANCEL; }
+
+		path.observe(object, () => { changes++; });
+		Observer.intercept(object, 'value', veto);
+
+		path.set(object, 2).should.be.false;
+		path.get(object).should.equal(1);
+		object.value.should.equal(1);
+		changes.should.equal(0);
+
+		Observer.unintercept(object, 'value', veto);
+
+	});
+
+
+	it('should apply interceptors before chained setters', () => {
+
+		var stored	= 'a',
+			object	= {
+				get name() { return stored; },
+				set name(value) { stored = value; }
+			};
+
+		Observer.intercept(object, 'name', trim);
+
+		object.name = ' b ';
+		stored.should.equal('b');
+
+		Observer.unintercept(object, 'name', trim);
+
+		object.name = ' c ';
+		stored.should.equal(' c ');
+
+	});
+
+
+	it('should intercept the final property of a path, as it moves', () => {
+
+		var object	= { order: { quantity: 1 } },
+			old		= object.order,
+			path	= new Path('order', 'quantity'),
+			handle	= path.intercept(object, positive);
+
+		(() => { object.order.quantity = -1; }).should.throw(RangeError);
+		object.order.quantity.should.equal(1);
+
+		object.order = { quantity: 2 };
+
+		(() => { object.order.quantity = -2; }).should.throw(RangeError);
+		object.order.quantity.should.equal(2);
+
+		old.quantity = -1;
+		old.quantity.should.equal(-1);
+
+		(() => { path.set(object, -3); }).should.throw(RangeError);
+
+		handle.unsubscribe();
+
+		object.order.quantity = -1;
+		object.order.quantity.should.equal(-1);
+
+	});
+
+
+	it('should not screen writes restored by a failed batch', () => {
+
+		var state = { q: 1 };
+
+		function veto(value) { return value === 1 ? Observer.CANCEL : value; }
+
+		Observer.intercept(state, 'q', veto);
+
+		(() => {
+			Path.batch(() => {
+				state.q = 2;
+				throw new Error('failed');
+			});
+		}).should.throw('failed');
+
+		state.q.should.equal(1);
+
+		Observer.unintercept(state, 'q', veto);
+
+	});
+
+
+	it('should restore every write, and rethrow the original error', () => {
+
+		var state = { q: 1, r: 1 };
+
+		function reject(value) {
+			if (value === 1) {
+				throw new Error('rejected');
+			}
+			return value;
+		}
+
+		Observer.intercept(state, 'q', reject);
+		Observer.intercept(state, 'r', reject);
+
+		(() => {
+			Path.batch(() => {
+				state.r = 9;
+				state.q = 5;
+				throw new Error('original');
+			});
+		}).should.throw('original');
+
+		state.should.eql({ q: 1, r: 1 });
+
+		Observer.unintercept(state, 'q', reject);
+		Observer.unintercept(state, 'r', reject);
+
+	});
+
+
+	it('should apply interceptors in the order registered', () => {
+
+		var object	= { name: 'a' },
+			path	= new Path('name');
+
+		path.intercept(object, trim);
+		path.intercept(object, (value) => value.toUpperCase());
+
+		object.name = ' b ';
+		object.name.should.equal('B');
+
+	});
+
+
+	it('should intercept writes through observable proxies', () => {
+
+		var state	= Path.observable({ quantity: 1 }),
+			path	= new Path('quantity'),
+			values	= [];
+
+		path.observe(state, (value) => { values.push(value); });
+		path.intercept(state, positive);
+		path.intercept(state, (value) => value === 5 ? Path.CANCEL : value);
+
+		(() => { state.quantity = -1; }).should.throw(RangeError);
+		state.quantity = 5;
+		state.quantity = 2;
+
+		state.quantity.should.equal(2);
+		values.should.eql([ 2 ]);
+
+	});
+
+
+	it('should intercept instrumented classes', () => {
+
+		class Item {
+			constructor(name) { this.name = name; }
+		}
+
+		Observer.instrumentClass(Item, [ 'name' ]);
+
+		var item = new Item('a');
+
+		new Path('name').intercept(item, trim);
+
+		item.name = ' b ';
+		item.name.should.equal('b');
+
+	});
+
+
+	it('should not intercept wildcard paths', () => {
+
+		(() => {
+			new Path('items', Path.ANY).intercept({ items: {} }, trim);
+		}).should.throw();
+
+	});
+
+
+});
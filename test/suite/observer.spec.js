@@ -361,4 +361,68 @@ describe('Observer', () => {
 	});
 
 
+
+	it('should observe properties of an instrumented class', () => {
+
+		class Model {
+			constructor(name) { this.name = name; }
+		}
+
+		Observer.instrumentClass(Model, [ 'name', 'age' ]);
+
+		var first = new Model('a'), second = new Model('b'), values = [];
+
+		function observer(object, value) { values.push(value); }
+
+		Observer.observe(first, 'name', observer);
+
+		first.hasOwnProperty('name').should.be.false;
+
+		first.name = 'c';
+		second.name = 'd';
+
+		values.should.eql([ 'c' ]);
+		first.name.should.equal('c');
+		second.name.should.equal('d');
+		should(first.age).be.undefined;
+
+		Observer.unobserve(first, 'name', observer);
+
+		first.name = 'e';
+		values.should.eql([ 'c' ]);
+		first.name.should.equal('e');
+	});
+
+
+	it('should use prototype values as defaults for an instrumented class', () => {
+
+		function Model() {}
+		Model.prototype.count = 0;
+
+		Observer.instrumentClass(Model, [ 'count' ]);
+
+		var model = new Model();
+		model.count.should.equal(0);
+
+		model.count = 2;
+		model.count.should.equal(2);
+		new Model().count.should.equal(0);
+
+		Observer.delete(model, 'count');
+		model.count.should.equal(0);
+	});
+
+
+	it('should refuse to instrument accessors of a class', () => {
+
+		class Model {
+			get name() { return 'a'; }
+		}
+
+		should(() => {
+			Observer.instrumentClass(Model, [ 'name' ]);
+		}).throw(TypeError);
+	});
+
+
 });
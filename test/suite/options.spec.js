@@ -0,0 +1,147 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Observe options', () => {
+
+
+	it('should invoke immediate callbacks with the current value', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1 } },
+			first	= [],
+			second	= [];
+
+		path.observe(object, (value, old) => { first.push([ value, old ]); },
+			{ immediate: true });
+		path.observe(object, (value, old) => { second.push([ value, old ]); },
+			{ immediate: true });
+
+		first.should.eql([ [ 1, undefined ] ]);
+		second.should.eql([ [ 1, undefined ] ]);
+
+		object.a.b = 2;
+		first.should.eql([ [ 1, undefined ], [ 2, 1 ] ]);
+
+	});
+
+
+	it('should unsubscribe once callbacks after the first change', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			once	= [],
+			always	= [];
+
+		path.observe(object, (value) => { once.push(value); },
+			{ once: true, immediate: true });
+		path.observe(object, (value) => { always.push(value); });
+
+		object.a = 2;
+		object.a = 3;
+
+		once.should.eql([ 1, 2 ]);
+		always.should.eql([ 2, 3 ]);
+
+	});
+
+
+	it('should not deliver changes made by a once callback', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			values	= [];
+
+		path.observe(object, (value) => {
+			values.push(value);
+			object.a = value + 1;
+		}, { once: true });
+
+		object.a = 5;
+
+		values.should.eql([ 5 ]);
+		object.a.should.equal(6);
+
+	});
+
+
+	it('should filter values per callback', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			even	= [],
+			all		= [];
+
+		path.observe(object, (value, old) => { even.push([ value, old ]); },
+			{ filter: (value) => value % 2 === 0, immediate: true });
+		path.observe(object, (value) => { all.push(value); });
+
+		object.a = 2;
+		object.a = 3;
+		object.a = 4;
+
+		even.should.eql([ [ 2, 1 ], [ 4, 2 ] ]);
+		all.should.eql([ 2, 3, 4 ]);
+
+	});
+
+
+	it('should report the last value delivered once a change passes the filter', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); },
+			{ filter: (value) => value > 2 });
+
+		object.a = 2;
+		object.a = 3;
+
+		object.a = 0;
+		object.a = 1;
+		object.a = 3;
+		object.a = 5;
+
+		changes.should.eql([ [ 3, 1 ], [ 5, 3 ] ]);
+
+	});
+
+
+	it('should only count filtered changes for once callbacks', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			values	= [];
+
+		path.observe(object, (value) => { values.push(value); },
+			{ once: true, filter: (value) => value > 2 });
+
+		object.a = 2;
+		object.a = 3;
+		object.a = 4;
+
+		values.should.eql([ 3 ]);
+
+	});
+
+
+	it('should apply options to computed values', () => {
+
+		var sum		= Path.computed([ new Path('a'), new Path('b') ],
+				(a, b) => a + b),
+			object	= { a: 1, b: 2 },
+			values	= [];
+
+		sum.observe(object, (value) => { values.push(value); },
+			{ immediate: true, once: true });
+
+		object.a = 2;
+		object.b = 3;
+
+		values.should.eql([ 3, 4 ]);
+
+	});
+
+
+});
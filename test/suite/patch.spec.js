@@ -0,0 +1,249 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Patch', () => {
+
+
+	it('should escape property names in operation paths', () => {
+
+		var state		= { 'a/b': { 'c~d': 1 } },
+			operations	= [];
+
+		Path.patches(state, [ new Path('a/b', 'c~d') ],
+			(operation) => { operations.push(operation); });
+
+		state['a/b']['c~d'] = 2;
+
+		operations.should.eql([ { op: 'replace', path: '/a~1b/c~0d', value: 2 } ]);
+
+		Path.applyPatch(state, [ { op: 'replace', path: '/a~1b/c~0d', value: 3 } ]);
+		state['a/b']['c~d'].should.equal(3);
+
+		(() => {
+			Path.applyPatch(state, [ { op: 'add', path: 'a', value: 1 } ]);
+		}).should.throw(SyntaxError);
+
+	});
+
+
+	it('should describe changes as operations', () => {
+
+		var state		= { user: { name: 'a' }, items: [ 1 ] },
+			operations	= [];
+
+		Path.patches(state, [
+			new Path('user', 'name'),
+			new Path('user', 'email'),
+			new Path('items')
+		], (operation) => { operations.push(operation); });
+
+		state.user.name = 'b';
+		state.user.email = 'b@example.com';
+		state.user.email = undefined;
+		state.items = [ 1, 2 ];
+
+		operations.should.eql([
+			{ op: 'replace', path: '/user/name', value: 'b' },
+			{ op: 'add', path: '/user/email', value: 'b@example.com' },
+			{ op: 'remove', path: '/user/email' },
+			{ op: 'replace', path: '/items', value: [ 1, 2 ] }
+		]);
+
+	});
+
+
+	it('should describe changes to a parent at the parent', () => {
+
+		var state		= { user: { name: 'a' } },
+			operations	= [];
+
+		Path.patches(state, [ new Path('user', 'name') ],
+			(operation) => { operations.push(operation); });
+
+		state.user = undefined;
+		state.user = { name: 'b', email: 'b@example.com' };
+		state.user = 5;
+		state.user = { name: 'c' };
+		state.user.name = 'd';
+
+		operations.should.eql([
+			{ op: 'remove', path: '/user' },
+			{ op: 'add', path: '/user', value: { name: 'b', email: 'b@example.com' } },
+			{ op: 'replace', path: '/user', value: 5 },
+			{ op: 'replace', path: '/user', value: { name: 'c' } },
+			{ op: 'replace', path: '/user/name', value: 'd' }
+		]);
+
+	});
+
+
+	it('should copy values into operations', () => {
+
+		var state		= { user: null },
+			operations	= [];
+
+		Path.patches(state, [ new Path('user') ],
+			(operation) => { operations.push(operation); });
+
+		state.user = { name: 'a' };
+		state.user.name = 'b';
+
+		operations[0].value.should.eql({ name: 'a' });
+
+	});
+
+
+	it('should not describe wildcard paths', () => {
+
+		(() => {
+			Path.patches({}, [ new Path(Path.ANY) ], () => {});
+		}).should.throw(TypeError);
+
+	});
+
+
+	it('should apply operations, notifying observers', () => {
+
+		var state	= { user: { name: 'a', email: 'a@example.com' }, items: [ 1, 3 ] },
+			changes	= [];
+
+		new Path('user', 'name').observe(state, (value) => { changes.push(value); });
+		new Path('items', 1).observe(state, (value) => { changes.push(value); });
+
+		Path.applyPatch(state, [
+			{ op: 'replace', path: '/user/name', value: 'b' },
+			{ op: 'remove', path: '/user/email' },
+			{ op: 'add', path: '/items/1', value: 2 },
+			{ op: 'add', path: '/items/-', value: 4 },
+			{ op: 'add', path: '/tags', value: [ 'x' ] }
+		]);
+
+		state.should.eql({
+			user:	{ name: 'b' },
+			items:	[ 1, 2, 3, 4 ],
+			tags:	[ 'x' ]
+		});
+
+		changes.should.eql([ 'b', 2 ]);
+
+	});
+
+
+	it('should roll back every operation if one fails', () => {
+
+		var state	= { a: 1, list: [ 1 ] },
+			changes	= 0;
+
+		new Path('a').observe(state, () => { changes++; });
+
+		(() => {
+			Path.applyPatch(state, [
+				{ op: 'replace', path: '/a', value: 2 },
+				{ op: 'replace', path: '/missing', value: 1 }
+			]);
+		}).should.throw(/Path not found/);
+
+		(() => {
+			Path.applyPatch(state, [ { op: 'remove', path: '/list/1' } ]);
+		}).should.throw(/Invalid array index/);
+
+		(() => {
+			Path.applyPatch(state, [ { op: 'move', from: '/a', path: '/b' } ]);
+		}).should.throw(/Unsupported/);
+
+		state.should.eql({ a: 1, list: [ 1 ] });
+		changes.should.equal(0);
+
+	});
+
+
+	it('should roll back operations on unobserved roots', () => {
+
+		var state = { a: 1, list: [ 1 ] };
+
+		(() => {
+			Path.applyPatch(state, [
+				{ op: 'replace', path: '/a', value: 2 },
+				{ op: 'add', path: '/b', value: 3 },
+				{ op: 'add', path: '/list/0', value: 0 },
+				{ op: 'test', path: '/a' }
+			]);
+		}).should.throw(/Unsupported/);
+
+		state.should.eql({ a: 1, list: [ 1 ] });
+
+	});
+
+
+	it('should apply operations to observable roots', () => {
+
+		var state	= Path.observable({ user: { name: 'a', age: 1 } }),
+			values	= [];
+
+		new Path('user', 'age').observe(state, (value) => { values.push(value); });
+
+		Path.applyPatch(state, [
+			{ op: 'remove', path: '/user/age' },
+			{ op: 'replace', path: '/user/name', value: 'b' }
+		]);
+
+		values.should.eql([ undefined ]);
+		state.user.should.eql({ name: 'b' });
+
+	});
+
+
+	it('should reproduce the same state through a round trip', () => {
+
+		var paths	= [
+				new Path('title'),
+				new Path('user', 'name'),
+				new Path('user', 'email'),
+				new Path('items')
+			],
+			source	= { title: 'a', user: { name: 'a', email: 'a@example.com' }, items: [] },
+			replica	= JSON.parse(JSON.stringify(source)),
+			feed	= Path.patches(source, paths, (operation) => {
+				Path.applyPatch(replica, [ operation ]);
+			});
+
+		source.title = 'b';
+		source.user.email = undefined;
+		source.user = { name: 'c', email: 'c@example.com' };
+		source.items = [ 1, { a: 2 } ];
+
+		Path.batch(() => {
+			source.title = 'c';
+			source.user.name = 'd';
+		});
+
+		feed.unsubscribe();
+
+		replica.should.eql(JSON.parse(JSON.stringify(source)));
+
+	});
+
+
+	it('should reproduce the replacement of a parent through a round trip', () => {
+
+		var source	= { user: { name: 'a', age: 1 } },
+			replica	= JSON.parse(JSON.stringify(source)),
+			feed	= Path.patches(source, [ new Path('user', 'name') ],
+				(operation) => { Path.applyPatch(replica, [ operation ]); });
+
+		source.user = undefined;
+		replica.should.eql({});
+
+		source.user = { name: 'b', age: 2 };
+		replica.should.eql(source);
+
+		source.user.name = 'c';
+		replica.should.eql(source);
+
+		feed.unsubscribe();
+
+	});
+
+
+});
@@ -1,5 +1,6 @@
 
 import should	from 'should/should';
+import Observer	from 'lib/observer';
 import Path		from 'lib/path';
 
 
@@ -355,4 +356,67 @@ describe('Path', () => {
 	});
 
 
+	it('should construct from the string path syntax', () => {
+
+		var path	= Path.parse('a.b["c d"][0]'),
+			object	= { a: { b: { 'c d': [ 'test' ] } } },
+			value	= null;
+
+		path.path.should.eql([ 'a', 'b', 'c d', 0 ]);
+		path.get(object).should.equal('test');
+
+		path.observe(object, (replacement, old) => { value = replacement; });
+
+		object.a.b['c d'][0] = 7;
+		value.should.equal(7);
+
+	});
+
+
+	it('should describe itself in the string path syntax', () => {
+
+		var path = new Path('user', 'addresses', 0, 'zip code');
+
+		path.toString().should.equal('user.addresses[0]["zip code"]');
+		Path.parse(String(path)).path.should.eql(path.path);
+
+	});
+
+
+	it('should throw a SyntaxError for malformed path strings', () => {
+
+		should(() => {
+			Path.parse('a..b');
+		}).throw(SyntaxError);
+
+	});
+
+
+	it('should observe instances of an instrumented class in place', () => {
+
+		class User {
+			constructor(name) { this.name = name; }
+		}
+
+		Observer.instrumentClass(User, [ 'name' ]);
+
+		var path	= new Path('user', 'name'),
+			user	= new User('a'),
+			object	= { user: user },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+		path.get(object).should.equal('a');
+
+		user.hasOwnProperty('name').should.be.false;
+
+		user.name = 'b';
+		value.should.equal('b');
+
+		object.user = new User('c');
+		value.should.equal('c');
+
+	});
+
+
 });
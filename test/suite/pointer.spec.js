@@ -0,0 +1,87 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Pointer		from 'lib/pointer';
+
+
+describe('Pointer', () => {
+
+
+	it('should parse and stringify JSON Pointers', () => {
+
+		Pointer.parse('').should.eql([]);
+		Pointer.parse('/a/0/b~1c/d~0e/').should.eql([ 'a', '0', 'b/c', 'd~e', '' ]);
+
+		Pointer.stringify([ 'a', 0, 'b/c', 'd~e' ]).should.equal('/a/0/b~1c/d~0e');
+
+		(() => { Pointer.parse('a'); }).should.throw(SyntaxError);
+		(() => { Pointer.parse('/a~2'); }).should.throw({ index: 2 });
+		(() => { Pointer.stringify([ Symbol('a') ]); }).should.throw(TypeError);
+
+	});
+
+
+	it('should construct paths from JSON Pointers', () => {
+
+		Path.fromPointer('/items/3/price').path.should.eql([ 'items', 3, 'price' ]);
+		Path.fromPointer('/a~1b/c~0d/~01').path.should.eql([ 'a/b', 'c~d', '~1' ]);
+		Path.fromPointer('/01/-/').path.should.eql([ '01', '-', '' ]);
+		Path.fromPointer('').path.should.eql([]);
+
+	});
+
+
+	it('should throw for malformed JSON Pointers', () => {
+
+		(() => { Path.fromPointer('items'); }).should.throw(SyntaxError);
+		(() => { Path.fromPointer('/a/b~'); }).should.throw({ index: 4 });
+
+	});
+
+
+	it('should describe paths as JSON Pointers', () => {
+
+		new Path('items', 3, 'price').toPointer().should.equal('/items/3/price');
+		new Path('a/b', 'c~d', '').toPointer().should.equal('/a~1b/c~0d/');
+		new Path().toPointer().should.equal('');
+
+	});
+
+
+	it('should round trip through JSON Pointers', () => {
+
+		var pointer = '/a~1b/c~0d/~01/0/ ';
+		Path.fromPointer(pointer).toPointer().should.equal(pointer);
+
+		var path = Path.parse('user.addresses[0]["zip code"]');
+		Path.fromPointer(path.toPointer()).path.should.eql(path.path);
+
+	});
+
+
+	it('should throw for segments which cannot be represented', () => {
+
+		(() => { new Path('a', Symbol('b')).toPointer(); }).should.throw(TypeError);
+		(() => { new Path('a', Path.ANY).toPointer(); }).should.throw(TypeError);
+		(() => { new Path(Path.key('a')).toPointer(); }).should.throw(TypeError);
+
+	});
+
+
+	it('should observe array indices from JSON Pointers', () => {
+
+		var state	= { items: [ { price: 1 } ] },
+			path	= Path.fromPointer('/items/0/price'),
+			values	= [];
+
+		path.observe(state, (value) => { values.push(value); });
+
+		state.items.unshift({ price: 2 });
+		values.should.eql([ 2 ]);
+
+		Path.fromPointer('/list/0').set(state, 'a', { create: true });
+		state.list.should.eql([ 'a' ]);
+
+	});
+
+
+});
@@ -0,0 +1,111 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Primitives', () => {
+
+
+	it('should get properties of primitive values', () => {
+
+		new Path('title', 'length').get({ title: 'abc' }).should.equal(3);
+		new Path('count', 'toFixed').get({ count: 0 })
+			.should.equal(Number.prototype.toFixed);
+
+	});
+
+
+	it('should resolve observed properties of primitive values', () => {
+
+		var path	= new Path('title', 'length'),
+			object	= { title: 'abc' };
+
+		path.observe(object, () => {});
+		path.get(object).should.equal(3);
+
+	});
+
+
+	it('should re-evaluate derived values when the primitive changes', () => {
+
+		var path	= new Path('title', 'length'),
+			object	= { title: 'abc' },
+			changes	= [];
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.title = 'abcd';
+		object.title = 'wxyz';
+		object.title = '';
+
+		changes.should.eql([ [ 4, 3 ], [ 0, 4 ] ]);
+
+	});
+
+
+	it('should treat falsy values as valid segments', () => {
+
+		var path	= new Path('a', 'toString'),
+			object	= { a: 0 },
+			value	= null;
+
+		path.get(object).should.equal(Number.prototype.toString);
+
+		path.observe(object, (replacement) => { value = replacement; });
+		path.get(object).should.equal(Number.prototype.toString);
+
+		object.a = '';
+		value.should.equal(String.prototype.toString);
+
+		object.a = false;
+		value.should.equal(Boolean.prototype.toString);
+
+	});
+
+
+	it('should resolve to undefined beneath missing values', () => {
+
+		var path = new Path('a', 'b');
+
+		should(path.get({ a: null })).be.undefined;
+		should(path.get({ a: 0 })).be.undefined;
+
+	});
+
+
+	it('should not report a break for properties of primitives', () => {
+
+		var path	= new Path('title', 'length'),
+			object	= { title: null },
+			breaks	= [];
+
+		path.observe(object, () => {}, {
+			onBreak: (broken) => { breaks.push(broken); }
+		});
+
+		object.title = 'abc';
+		object.title = 5;
+
+		breaks.should.eql([ null, { index: 0, reason: 'primitive' } ]);
+
+	});
+
+
+	it('should re-attach once a primitive is replaced by an object', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: 'text' },
+			inner	= { b: 1 },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.a = inner;
+		value.should.equal(1);
+
+		inner.b = 2;
+		value.should.equal(2);
+
+	});
+
+
+});
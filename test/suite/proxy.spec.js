@@ -0,0 +1,222 @@
+import should			from 'should/should';
+import Path				from 'lib/path';
+import ProxyObserver	from 'lib/proxy';
+
+
+describe('ProxyObserver', () => {
+
+
+	it('should wrap objects, and nested objects read through them', () => {
+
+		var object	= { a: { b: 1 } },
+			root	= Path.observable(object);
+
+		ProxyObserver.isProxy(root).should.be.true;
+		ProxyObserver.isProxy(root.a).should.be.true;
+		ProxyObserver.unwrap(root.a).should.equal(object.a);
+
+		Path.observable(object).should.equal(root);
+		Path.observable(7).should.equal(7);
+
+	});
+
+
+	it('should observe final value changes along a path', () => {
+
+		var path	= new Path('a', 'b', 'c'),
+			root	= Path.observable({ a: { b: { c: 7 } } }),
+			changes	= [];
+
+		path.observe(root, (value, old) => { changes.push([ value, old ]); });
+
+		root.a.b.c = 5;
+		root.a.b = { c: 'test' };
+
+		changes.should.eql([ [ 5, 7 ], [ 'test', 5 ] ]);
+
+	});
+
+
+	it('should observe property additions and deletions', () => {
+
+		var path	= new Path('a', 'b', 'c'),
+			root	= Path.observable({}),
+			value	= null;
+
+		path.observe(root, (replacement) => { value = replacement; });
+
+		root.a = {};
+		root.a.b = {};
+		root.a.b.c = 'added';
+
+		value.should.equal('added');
+
+		delete root.a.b;
+
+		should(value).be.undefined;
+
+	});
+
+
+	it('should not instrument the underlying objects', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			root	= Path.observable(object);
+
+		path.observe(root, () => {});
+
+		Object.getOwnPropertyDescriptor(object, 'a').should.have.property('value', 1);
+
+	});
+
+
+	it('should observe properties that cannot be redefined', () => {
+
+		var path	= new Path('a'),
+			object	= {},
+			root	= Path.observable(object),
+			value	= null;
+
+		Object.defineProperty(object, 'a', {
+			enumerable:		true,
+			configurable:	false,
+			writable:		true,
+			value:			1
+		});
+
+		path.observe(root, (replacement) => { value = replacement; });
+
+		root.a = 2;
+		value.should.equal(2);
+
+	});
+
+
+	it('should notify once per array mutation', () => {
+
+		var path	= new Path('todos', 0),
+			root	= Path.observable({ todos: [ 1, 2, 3 ] }),
+			changes	= [];
+
+		path.observe(root, (value, old) => { changes.push([ value, old ]); });
+
+		root.todos.shift().should.equal(1);
+
+		changes.should.eql([ [ 2, 1 ] ]);
+
+	});
+
+
+	it('should return the same mutation method on each read', () => {
+
+		var root = Path.observable({ todos: [] });
+
+		root.todos.push.should.equal(root.todos.push);
+		root.todos.splice.should.not.equal(root.todos.push);
+
+	});
+
+
+	it('should invoke inherited setters on the proxy', () => {
+
+		class Temperature {
+			get fahrenheit() { return this.celsius * 9 / 5 + 32; }
+			set fahrenheit(value) { this.celsius = (value - 32) * 5 / 9; }
+		}
+
+		var root	= Path.observable(new Temperature()),
+			values	= [];
+
+		root.celsius = 0;
+
+		new Path('celsius').observe(root, (value) => { values.push(value); });
+
+		root.fahrenheit = 212;
+		values.should.eql([ 100 ]);
+
+		new Path('fahrenheit').set(root, 32).should.be.true;
+		values.should.eql([ 100, 0 ]);
+
+	});
+
+
+	it('should write to objects inheriting from the proxy, not the target', () => {
+
+		var root	= Path.observable({ a: 1 }),
+			child	= Object.create(root),
+			changes	= 0;
+
+		new Path('a').observe(root, () => { changes++; });
+
+		child.a = 2;
+
+		child.a.should.equal(2);
+		root.a.should.equal(1);
+		changes.should.equal(0);
+
+	});
+
+
+	it('should follow keys added to, or removed from, a wildcard', () => {
+
+		var path	= new Path('users', Path.ANY, 'online'),
+			root	= Path.observable({ users: { a: { online: true } } }),
+			changes	= [];
+
+		path.observe(root, (value, old) => { changes.push(value); });
+
+		root.users.b = { online: false };
+		delete root.users.a;
+
+		changes.should.eql([ { a: true, b: false }, { b: false } ]);
+
+		root.users.b.online = true;
+		changes[2].should.eql({ b: true });
+
+	});
+
+
+	it('should allow the backend to be chosen per Path', () => {
+
+		var object	= { a: 1 },
+			root	= Path.observable(object),
+			value	= null;
+
+		var path = new Path('a').configure({ backend: 'descriptor' });
+
+		path.observe(root, (replacement) => { value = replacement; });
+
+		Object.getOwnPropertyDescriptor(object, 'a').should.have.property('set');
+
+		root.a = 2;
+		value.should.equal(2);
+
+		should(() => {
+			new Path('a').configure({ backend: 'proxy' }).observe({}, () => {});
+		}).throw();
+
+		should(() => {
+			new Path('a').configure({ backend: 'other' });
+		}).throw();
+
+	});
+
+
+	it('should set resolved values through the proxy', () => {
+
+		var path	= new Path('a', 'b'),
+			root	= Path.observable({ a: { b: 1 } }),
+			value	= null;
+
+		path.observe(root, (replacement) => { value = replacement; });
+
+		path.set(root, 2).should.be.true;
+
+		value.should.equal(2);
+		root.a.b.should.equal(2);
+
+	});
+
+
+});
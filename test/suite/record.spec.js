@@ -0,0 +1,136 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Change records', () => {
+
+
+	it('should describe the root, path and property written', () => {
+
+		var path	= new Path('user', 'name'),
+			user	= { name: 'a' },
+			object	= { user: user },
+			records	= [];
+
+		path.observe(object, (record) => { records.push(record); },
+			{ record: true });
+
+		user.name = 'b';
+
+		records.length.should.equal(1);
+
+		var record = records[0];
+
+		record.root.should.equal(object);
+		record.path.should.equal(path);
+		record.target.should.equal(user);
+		record.property.should.equal('name');
+		record.index.should.equal(1);
+		record.value.should.equal('b');
+		record.old.should.equal('a');
+
+	});
+
+
+	it('should report the segment changed, where it precedes the last', () => {
+
+		var path	= new Path('user', 'name'),
+			object	= { user: { name: 'a' } },
+			record	= null;
+
+		path.observe(object, (change) => { record = change; }, { record: true });
+
+		object.user = { name: 'b' };
+
+		record.target.should.equal(object);
+		record.property.should.equal('user');
+		record.index.should.equal(0);
+		record.value.should.equal('b');
+
+	});
+
+
+	it('should allow one handler to be shared across roots and paths', () => {
+
+		var first	= new Path('a'),
+			second	= new Path('b'),
+			x		= { a: 1, b: 1 },
+			y		= { a: 1, b: 1 },
+			log		= [];
+
+		function handler(record) {
+			log.push([ record.root === x ? 'x' : 'y', String(record.path),
+				record.value ]);
+		}
+
+		first.observe(x, handler, { record: true });
+		first.observe(y, handler, { record: true });
+		second.observe(x, handler, { record: true });
+
+		x.a = 2;
+		y.a = 3;
+		x.b = 4;
+
+		log.should.eql([ [ 'x', 'a', 2 ], [ 'y', 'a', 3 ], [ 'x', 'b', 4 ] ]);
+
+	});
+
+
+	it('should report the key and write beneath a wildcard', () => {
+
+		var path	= new Path('users', Path.ANY, 'name'),
+			bob		= { name: 'bob' },
+			object	= { users: { bob: bob } },
+			record	= null;
+
+		path.observe(object, (change) => { record = change; }, { record: true });
+
+		bob.name = 'robert';
+
+		record.key.should.equal('bob');
+		record.target.should.equal(bob);
+		record.property.should.equal('name');
+		record.index.should.equal(2);
+
+	});
+
+
+	it('should report the key added to an observable root', () => {
+
+		var path	= new Path(Path.ANY),
+			object	= Path.observable({ a: 1 }),
+			record	= null;
+
+		path.observe(object, (change) => { record = change; }, { record: true });
+
+		object.b = 2;
+
+		record.property.should.equal('b');
+		record.index.should.equal(0);
+		record.value.should.eql({ a: 1, b: 2 });
+
+	});
+
+
+	it('should describe the last write delivered in a batch', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			records	= [];
+
+		path.observe(object, (record) => { records.push(record); },
+			{ record: true });
+
+		Path.batch(() => {
+			object.a = 2;
+			object.a = 3;
+		});
+
+		records.length.should.equal(1);
+		records[0].value.should.equal(3);
+		records[0].old.should.equal(1);
+
+	});
+
+
+});
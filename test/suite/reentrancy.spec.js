@@ -0,0 +1,219 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Observer		from 'lib/observer';
+
+
+describe('Reentrancy', () => {
+
+
+	afterEach(() => {
+		Path.limit(100);
+	});
+
+
+	it('should notify writes made by callbacks after the current round', () => {
+
+		var object	= { a: 1 },
+			path	= new Path('a'),
+			changes	= [];
+
+		path.observe(object, (value, old) => {
+			changes.push([ 'first', value, old ]);
+
+			if (value === 2) {
+				object.a = 3;
+			}
+		});
+
+		path.observe(object, (value, old) => {
+			changes.push([ 'second', value, old ]);
+		});
+
+		object.a = 2;
+
+		object.a.should.equal(3);
+		changes.should.eql([
+			[ 'first', 2, 1 ],
+			[ 'second', 2, 1 ],
+			[ 'first', 3, 2 ],
+			[ 'second', 3, 2 ]
+		]);
+
+	});
+
+
+	it('should hold current values while callbacks write along the path', () => {
+
+		var object	= { a: { b: 1 } },
+			path	= new Path('a', 'b'),
+			changes	= [];
+
+		path.observe(object, (value, old) => {
+			changes.push([ value, old, path.get(object) ]);
+
+			if (value === 2) {
+				object.a = { b: 3 };
+			}
+		});
+
+		object.a.b = 2;
+
+		changes.should.eql([ [ 2, 1, 2 ], [ 3, 2, 3 ] ]);
+
+	});
+
+
+	it('should queue writes made by Observer callbacks to the same property', () => {
+
+		var stored	= 1,
+			object	= {
+				get a() { return stored; },
+				set a(value) { stored = value; }
+			},
+			values	= [];
+
+		function first(target, value) {
+			values.push([ 'first', value ]);
+
+			if (value === 2) {
+				target.a = 3;
+			}
+		}
+
+		function second(target, value) { values.push([ 'second', value ]); }
+
+		Observer.observe(object, 'a', first);
+		Observer.observe(object, 'a', second);
+
+		object.a = 2;
+
+		stored.should.equal(3);
+		values.should.eql([
+			[ 'first', 2 ], [ 'second', 2 ], [ 'first', 3 ], [ 'second', 3 ]
+		]);
+
+		Observer.unobserve(object, 'a', first);
+		Observer.unobserve(object, 'a', second);
+
+	});
+
+
+	it('should apply several writes made by one callback in order', () => {
+
+		var object	= { a: 1 },
+			values	= [];
+
+		function first(target, value) {
+			values.push([ 'first', value ]);
+
+			if (value === 2) {
+				target.a = 3;
+				target.a = 4;
+			}
+		}
+
+		function second(target, value) { values.push([ 'second', value ]); }
+
+		Observer.observe(object, 'a', first);
+		Observer.observe(object, 'a', second);
+
+		object.a = 2;
+
+		object.a.should.equal(4);
+		values.should.eql([
+			[ 'first', 2 ], [ 'second', 2 ],
+			[ 'first', 3 ], [ 'second', 3 ],
+			[ 'first', 4 ], [ 'second', 4 ]
+		]);
+
+		Observer.unobserve(object, 'a', first);
+		Observer.unobserve(object, 'a', second);
+
+	});
+
+
+	it('should hold the value written by Path#set once queued writes apply', () => {
+
+		var object	= { a: 1 },
+			path	= new Path('a'),
+			other	= new Path('a');
+
+		path.observe(object, () => {});
+
+		Observer.observe(object, 'a', function write(target, value) {
+			if (value === 2) {
+				other.set(object, 3);
+				path.set(object, 4, true);
+				Observer.unobserve(object, 'a', write);
+			}
+		});
+
+		object.a = 2;
+
+		object.a.should.equal(4);
+		path.get(object).should.equal(4);
+
+	});
+
+
+	it('should report callbacks which never settle', () => {
+
+		var object	= { a: 0 },
+			calls	= 0;
+
+		Path.limit(5);
+
+		new Path('a').observe(object, (value) => {
+			calls++;
+			object.a = value + 1;
+		});
+
+		(() => { object.a = 1; }).should.throw(RangeError);
+
+		calls.should.equal(5);
+
+	});
+
+
+	it('should report Observer callbacks which never settle', () => {
+
+		var object = { a: 0 };
+
+		function observer(target, value) { target.a = value + 1; }
+
+		Path.limit(10);
+		Observer.observe(object, 'a', observer);
+
+		(() => { object.a = 1; }).should.throw(RangeError);
+		object.a.should.equal(10);
+
+		Observer.unobserve(object, 'a', observer);
+
+	});
+
+
+	it('should deliver writes made in a batch before writes made by callbacks', () => {
+
+		var object	= { a: 1, b: 1 },
+			changes	= [];
+
+		new Path('a').observe(object, (value) => {
+			changes.push([ 'a', value ]);
+			object.b = value * 10;
+		});
+
+		new Path('b').observe(object, (value, old) => {
+			changes.push([ 'b', value, old ]);
+		});
+
+		Path.batch(() => {
+			object.a = 2;
+			object.b = 3;
+		});
+
+		changes.should.eql([ [ 'a', 2 ], [ 'b', 3, 1 ], [ 'b', 20, 3 ] ]);
+
+	});
+
+
+});
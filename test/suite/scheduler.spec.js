@@ -0,0 +1,203 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+import Scheduler	from 'lib/scheduler';
+
+
+/**
+ * A manually advanced clock, for deterministic timing.
+ */
+function clock() {
+	var timers = [], now = 0, id = 0;
+
+	return {
+		now: () => now,
+
+		setTimeout(fn, wait) {
+			timers.push({ id: ++id, fn, at: now + wait });
+			return id;
+		},
+
+		clearTimeout(timer) {
+			timers = timers.filter((entry) => entry.id !== timer);
+		},
+
+		advance(time) {
+			now += time;
+
+			var due = timers.filter((entry) => entry.at <= now);
+			timers = timers.filter((entry) => entry.at > now);
+
+			for(let entry of due) {
+				entry.fn();
+			}
+		}
+	};
+}
+
+
+describe('Scheduler', () => {
+
+
+	it('should notify synchronously by default', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			value	= null;
+
+		path.observe(object, (replacement) => { value = replacement; });
+
+		object.a = 2;
+		value.should.equal(2);
+
+	});
+
+
+	it('should defer notifications to a microtask, once per net change', (done) => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			changes	= [];
+
+		path.observe(object, (value, old) => {
+			changes.push([ value, old ]);
+		}, { scheduler: Scheduler.microtask });
+
+		object.a = 2;
+		object.a = 3;
+
+		changes.length.should.equal(0);
+
+		Promise.resolve().then(() => {
+			changes.should.eql([ [ 3, 1 ] ]);
+
+			object.a = 4;
+			object.a = 3;
+
+			return Promise.resolve();
+		}).then(() => {
+			changes.length.should.equal(1);
+			done();
+		}).catch(done);
+
+	});
+
+
+	it('should defer notifications to a user supplied frame scheduler', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			frames	= [],
+			changes	= [];
+
+		path.configure({
+			scheduler: Scheduler.frame((fn) => { frames.push(fn); })
+		});
+
+		path.observe(object, (value, old) => { changes.push([ value, old ]); });
+
+		object.a = 2;
+		object.a = 3;
+
+		frames.length.should.equal(1);
+		changes.length.should.equal(0);
+
+		frames.shift()();
+		changes.should.eql([ [ 3, 1 ] ]);
+
+	});
+
+
+	it('should debounce notifications', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			time	= clock(),
+			changes	= [];
+
+		path.observe(object, (value, old) => {
+			changes.push([ value, old ]);
+		}, { scheduler: Scheduler.debounce(100, time) });
+
+		object.a = 2;
+		time.advance(50);
+		object.a = 3;
+		time.advance(50);
+
+		changes.length.should.equal(0);
+
+		time.advance(50);
+		changes.should.eql([ [ 3, 1 ] ]);
+
+	});
+
+
+	it('should throttle notifications', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			time	= clock(),
+			changes	= [];
+
+		path.observe(object, (value, old) => {
+			changes.push([ value, old ]);
+		}, { scheduler: Scheduler.throttle(100, time) });
+
+		object.a = 2;
+		changes.should.eql([ [ 2, 1 ] ]);
+
+		time.advance(10);
+		object.a = 3;
+		object.a = 4;
+		changes.length.should.equal(1);
+
+		time.advance(90);
+		changes.should.eql([ [ 2, 1 ], [ 4, 2 ] ]);
+
+	});
+
+
+	it('should apply schedulers per callback', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			frames	= [],
+			sync	= null,
+			framed	= null;
+
+		path.observe(object, (value) => { sync = value; });
+		path.observe(object, (value) => { framed = value; },
+			{ scheduler: Scheduler.frame((fn) => { frames.push(fn); }) });
+
+		object.a = 2;
+
+		sync.should.equal(2);
+		should(framed).be.null;
+
+		frames.shift()();
+		framed.should.equal(2);
+
+	});
+
+
+	it('should discard deferred notifications once unobserved', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			frames	= [],
+			changes	= 0;
+
+		function change() { changes++; }
+
+		path.observe(object, change,
+			{ scheduler: Scheduler.frame((fn) => { frames.push(fn); }) });
+
+		object.a = 2;
+		path.unobserve(object, change);
+
+		frames.shift()();
+		changes.should.equal(0);
+
+	});
+
+
+});
@@ -0,0 +1,158 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Path.set', () => {
+
+
+	it('should set values from roots that are not observed', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= { a: { b: 1 } };
+
+		path.set(object, 2).should.be.true;
+		object.a.b.should.equal(2);
+
+	});
+
+
+	it('should notify other paths when setting an unobserved root', () => {
+
+		var path	= new Path('a', 'b'),
+			other	= Path.parse('a.b'),
+			object	= { a: { b: 1 } },
+			value	= null;
+
+		other.observe(object, (replacement) => { value = replacement; });
+
+		path.set(object, 2).should.be.true;
+		value.should.equal(2);
+
+	});
+
+
+	it('should report the segment a broken chain stops at, unless creating', () => {
+
+		var path	= new Path('a', 'b', 'c'),
+			object	= { a: null };
+
+		(() => { path.set(object, 1); })
+			.should.throw(TypeError, { index: 0, reason: 'missing' });
+		should(object.a).be.null;
+
+		object.a = { b: 5 };
+
+		(() => { path.set(object, 1); })
+			.should.throw(TypeError, { index: 1, reason: 'primitive' });
+		object.a.b.should.equal(5);
+
+	});
+
+
+	it('should return false rather than throw for read-only properties', () => {
+
+		var frozen	= Object.freeze({ a: 1 }),
+			object	= { b: Object.freeze({ c: 1 }) };
+
+		new Path('a').set(frozen, 2).should.be.false;
+		frozen.a.should.equal(1);
+
+		new Path('b', 'c').set(object, 2).should.be.false;
+		new Path('b', 'd').set(object, 2, { create: true }).should.be.false;
+		object.b.should.eql({ c: 1 });
+
+	});
+
+
+	it('should create missing segments, as arrays for numeric segments', () => {
+
+		var path	= Path.parse('a.items[0].name'),
+			object	= {};
+
+		path.set(object, 'x', { create: true }).should.be.true;
+
+		object.should.eql({ a: { items: [ { name: 'x' } ] } });
+		object.a.items.should.be.an.Array;
+
+	});
+
+
+	it('should report the segment which cannot be written when creating', () => {
+
+		var path	= new Path('users', Path.key(1), 'name'),
+			object	= { users: {} };
+
+		(() => { path.set(object, 'x', { create: true }); })
+			.should.throw(TypeError, { index: 1, reason: 'refused' });
+		object.should.eql({ users: {} });
+
+		(() => {
+			new Path('groups', Path.key(1)).set(object, 'x', {
+				create:		true,
+				factory:	() => ({})
+			});
+		}).should.throw(TypeError, { index: 1, reason: 'refused' });
+		object.should.eql({ users: {} });
+
+	});
+
+
+	it('should create segments with a supplied factory', () => {
+
+		var path	= new Path('a', 'b'),
+			object	= {},
+			keys	= [];
+
+		function Model() {}
+
+		path.set(object, 1, {
+			create: true,
+			factory: (key, index) => {
+				keys.push([ key, index ]);
+				return new Model();
+			}
+		});
+
+		object.a.should.be.an.instanceof(Model);
+		keys.should.eql([ [ 'b', 0 ] ]);
+
+	});
+
+
+	it('should notify each observer once when creating segments', () => {
+
+		var path	= new Path('a', 'b', 'c'),
+			partial	= new Path('a', 'b'),
+			object	= { a: {} },
+			changes	= [];
+
+		path.observe(object, (value) => { changes.push([ 'c', value ]); });
+		partial.observe(object, (value) => { changes.push([ 'b', value ]); });
+
+		path.set(object, 1, { create: true });
+
+		changes.should.eql([ [ 'c', 1 ], [ 'b', { c: 1 } ] ]);
+
+	});
+
+
+	it('should report the segment holding a primitive when creating', () => {
+
+		var path	= new Path('a', 'b', 'c'),
+			object	= { a: { b: 5 } },
+			error	= null;
+
+		try {
+			path.set(object, 1, { create: true });
+		}catch(caught) {
+			error = caught;
+		}
+
+		error.should.be.an.instanceof(TypeError);
+		error.index.should.equal(1);
+		error.reason.should.equal('primitive');
+
+	});
+
+
+});
@@ -0,0 +1,133 @@
+import should		from 'should/should';
+import Path			from 'lib/path';
+
+
+describe('Subscription', () => {
+
+
+	it('should be returned by observe, holding the current value', () => {
+
+		var path			= new Path('a', 'b'),
+			object			= { a: { b: 1 } },
+			subscription	= path.observe(object, () => {});
+
+		subscription.value.should.equal(1);
+
+		object.a.b = 2;
+		subscription.value.should.equal(2);
+
+	});
+
+
+	it('should unsubscribe anonymous callbacks', () => {
+
+		var path			= new Path('a'),
+			object			= { a: 1 },
+			changes			= 0,
+			subscription	= path.observe(object, () => { changes++; });
+
+		subscription.unsubscribe();
+		subscription.unsubscribe();
+
+		object.a = 2;
+		changes.should.equal(0);
+		should(path.observed.get(object)).be.undefined;
+
+	});
+
+
+	it('should only remove its own callback', () => {
+
+		var path	= new Path('a'),
+			object	= { a: 1 },
+			first	= 0,
+			second	= 0;
+
+		function change() { first++; }
+
+		var subscription = path.observe(object, change);
+		path.observe(object, change);
+		path.observe(object, () => { second++; });
+
+		subscription.unsubscribe();
+
+		object.a = 2;
+		first.should.equal(1);
+		second.should.equal(1);
+
+	});
+
+
+	it('should hold notifications while paused, firing once on resume', () => {
+
+		var path			= new Path('a'),
+			object			= { a: 1 },
+			changes			= [],
+			subscription	= path.observe(object, (value, old) => {
+				changes.push([ value, old ]);
+			});
+
+		subscription.pause();
+		subscription.pause();
+
+		object.a = 2;
+		object.a = 3;
+		changes.length.should.equal(0);
+
+		subscription.resume();
+		subscription.resume();
+		changes.should.eql([ [ 3, 1 ] ]);
+
+	});
+
+
+	it('should not fire on resume if the value was restored while paused', () => {
+
+		var path			= new Path('a'),
+			object			= { a: 1 },
+			changes			= 0,
+			subscription	= path.observe(object, () => { changes++; });
+
+		subscription.pause();
+		object.a = 2;
+		object.a = 1;
+		subscription.resume();
+
+		changes.should.equal(0);
+
+	});
+
+
+	it('should not fire on resume once unsubscribed', () => {
+
+		var path			= new Path('a'),
+			object			= { a: 1 },
+			changes			= 0,
+			subscription	= path.observe(object, () => { changes++; });
+
+		subscription.pause();
+		object.a = 2;
+		subscription.unsubscribe();
+		subscription.resume();
+
+		changes.should.equal(0);
+
+	});
+
+
+	it('should be returned by computed values', () => {
+
+		var path			= new Path('a'),
+			double			= Path.computed([ path ], (a) => a * 2),
+			object			= { a: 1 },
+			subscription	= double.observe(object, () => {});
+
+		subscription.value.should.equal(2);
+		subscription.unsubscribe();
+
+		should(path.observed.get(object)).be.undefined;
+
+	});
+
+
+});
@@ -0,0 +1,85 @@
+import should	from 'should/should';
+import Syntax	from 'lib/syntax';
+
+
+describe('Syntax', () => {
+
+
+	it('should parse dotted segments', () => {
+
+		Syntax.parse('a.b.c').should.eql([ 'a', 'b', 'c' ]);
+
+	});
+
+
+	it('should parse bracketed indices as numbers', () => {
+
+		Syntax.parse('a[0][12]').should.eql([ 'a', 0, 12 ]);
+		Syntax.parse('[3].a').should.eql([ 3, 'a' ]);
+
+	});
+
+
+	it('should parse quoted segments, with escapes', () => {
+
+		Syntax.parse('a["zip code"]').should.eql([ 'a', 'zip code' ]);
+		Syntax.parse('a[\'it\\\'s\']').should.eql([ 'a', 'it\'s' ]);
+		Syntax.parse('a["\\n\\u0041\\x42\\u{43}"]').should.eql([ 'a', '\nABC' ]);
+		Syntax.parse('a[ "b" ]').should.eql([ 'a', 'b' ]);
+
+	});
+
+
+	it('should parse escaped characters in dotted segments', () => {
+
+		Syntax.parse('a\\.b.c\\[0\\]').should.eql([ 'a.b', 'c[0]' ]);
+
+	});
+
+
+	it('should report the position of unexpected characters', () => {
+
+		var cases = {
+			'':			0,
+			'a..b':		2,
+			'a.':		2,
+			'.a':		0,
+			'a[b]':		2,
+			'a[01]':	2,
+			'a[0':		3,
+			'a]':		1,
+			'a b':		1,
+			'a["b':		2,
+			'a["\\u00"]':	3
+		};
+
+		for(let string of Object.keys(cases)) {
+			var error = null;
+
+			try {
+				Syntax.parse(string);
+			}catch(thrown) {
+				error = thrown;
+			}
+
+			error.should.be.an.instanceOf(SyntaxError);
+			error.index.should.equal(cases[string]);
+			error.message.should.containEql('position ' + cases[string]);
+		}
+
+	});
+
+
+	it('should stringify segments, so that they parse to the same segments', () => {
+
+		var parts = [ 'user', 'addresses', 0, 'zip code', 'a.b', '', 'q"' ];
+
+		Syntax.stringify(parts).should.equal(
+			'user.addresses[0]["zip code"]["a.b"][""]["q\\""]');
+
+		Syntax.parse(Syntax.stringify(parts)).should.eql(parts);
+
+	});
+
+
+});
@@ -0,0 +1,134 @@
+import should	from 'should/should';
+import Path		from 'lib/path';
+
+
+describe('Wildcard', () => {
+
+
+	it('should get aggregated values for every key', () => {
+
+		var path	= new Path('users', Path.ANY, 'online'),
+			object	= { users: { a: { online: true }, b: { online: false } } };
+
+		path.get(object).should.eql({ a: true, b: false });
+
+	});
+
+
+	it('should observe the property on every key, reporting the key changed', () => {
+
+		var path	= new Path('users', Path.ANY, 'online'),
+			object	= { users: { a: { online: true }, b: { online: false } } },
+			changes	= [];
+
+		path.observe(object, (value, old, key) => {
+			changes.push([ value, old, key ]);
+		});
+
+		object.users.b.online = true;
+
+		changes.length.should.equal(1);
+		changes[0][0].should.eql({ a: true, b: true });
+		changes[0][1].should.eql({ a: true, b: false });
+		changes[0][2].should.equal('b');
+
+		path.get(object).should.eql({ a: true, b: true });
+
+	});
+
+
+	it('should re-evaluate keys when an earlier segment changes', () => {
+
+		var path	= new Path('users', Path.ANY, 'online'),
+			object	= { users: { a: { online: true } } },
+			value	= null,
+			key		= null;
+
+		path.observe(object, (replacement, old, changed) => {
+			value	= replacement;
+			key		= changed;
+		});
+
+		object.users = { c: { online: 'yes' }, d: {} };
+
+		value.should.eql({ c: 'yes', d: undefined });
+		should(key).be.undefined;
+
+		object.users.d.online = 'no';
+
+		value.should.eql({ c: 'yes', d: 'no' });
+		key.should.equal('d');
+
+	});
+
+
+	it('should stop observing keys that are no longer reachable', () => {
+
+		var path	= new Path('users', Path.ANY, 'online'),
+			removed	= { online: true },
+			object	= { users: { a: removed } },
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+
+		object.users = undefined;
+		changes.should.equal(1);
+
+		removed.online = false;
+		changes.should.equal(1);
+
+		Object.getOwnPropertyDescriptor(removed, 'online')
+			.should.have.property('value', false);
+
+	});
+
+
+	it('should not fire when a key is replaced, but its value is unchanged', () => {
+
+		var path	= new Path('users', Path.ANY, 'online'),
+			object	= { users: { a: { online: true } } },
+			changes	= 0;
+
+		path.observe(object, () => { changes++; });
+
+		object.users.a = { online: true };
+		changes.should.equal(0);
+
+	});
+
+
+	it('should support nested wildcards', () => {
+
+		var path	= new Path(Path.ANY, Path.ANY),
+			object	= { a: { x: 1 }, b: { y: 2 } },
+			value	= null,
+			key		= null;
+
+		path.get(object).should.eql({ a: { x: 1 }, b: { y: 2 } });
+
+		path.observe(object, (replacement, old, changed) => {
+			value	= replacement;
+			key		= changed;
+		});
+
+		object.b.y = 3;
+
+		value.should.eql({ a: { x: 1 }, b: { y: 3 } });
+		key.should.equal('b');
+
+	});
+
+
+	it('should be represented as * in the string path syntax', () => {
+
+		var path = Path.parse('users.*.online');
+
+		path.path.should.eql([ 'users', Path.ANY, 'online' ]);
+		path.toString().should.equal('users.*.online');
+
+		Path.parse('users["*"]').path.should.eql([ 'users', '*' ]);
+
+	});
+
+
+});